@@ -0,0 +1,55 @@
+/**
+ * Arena Strategy - Run an unmodified Screeps Arena `loop()` inside the simulator
+ *
+ * The bot's `game/*` imports are resolved to the shim in this directory, and
+ * each tick its loop() runs against the engine's world view. Whatever actions
+ * the bot takes are returned to the engine as strategy intents.
+ */
+
+import { register } from 'module';
+import { bindTick, unbindTick } from './context.mjs';
+
+let modulesRegistered = false;
+
+/**
+ * Register the `game/*` module resolution hooks (idempotent)
+ */
+export function registerArenaModules() {
+    if (modulesRegistered) {
+        return;
+    }
+
+    register('./hooks.mjs', import.meta.url);
+    modulesRegistered = true;
+}
+
+/**
+ * Wrap an Arena loop() function as a strategy
+ * @param {Function} loop - Bot loop function
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy object
+ */
+export function createArenaStrategy(loop, name = 'arena-bot') {
+    const registry = new Map();
+
+    return {
+        name,
+
+        init() {
+            registry.clear();
+        },
+
+        tick(world) {
+            const intents = [];
+            bindTick(world, intents, registry);
+
+            try {
+                loop();
+            } finally {
+                unbindTick();
+            }
+
+            return intents;
+        }
+    };
+}
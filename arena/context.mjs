@@ -0,0 +1,41 @@
+/**
+ * Arena Context - Binds the Arena API shim to the tick being simulated
+ *
+ * The shim modules are stateless; every call reads the world view and intent
+ * list bound here by the arena strategy for the duration of one loop() call.
+ */
+
+let current = null;
+
+/**
+ * Bind the shim to a tick
+ * @param {Object} world - Read-only world view from the engine
+ * @param {Object[]} intents - Intent list the bot's actions are pushed to
+ * @param {Map<string, Object>} registry - Persistent id -> game object wrappers for this battle
+ */
+export function bindTick(world, intents, registry) {
+    current = {
+        world,
+        intents,
+        registry,
+        objects: null
+    };
+}
+
+/**
+ * Release the binding once loop() returns
+ */
+export function unbindTick() {
+    current = null;
+}
+
+/**
+ * Get the current tick binding
+ * @returns {Object} Bound context
+ */
+export function getTickContext() {
+    if (!current) {
+        throw new Error('Arena API called outside of a simulated tick');
+    }
+    return current;
+}
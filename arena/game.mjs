@@ -0,0 +1,9 @@
+/**
+ * game - Namespace entry point (`import { utils, prototypes, constants } from 'game'`)
+ */
+
+export * as utils from './game/utils.mjs';
+export * as prototypes from './game/prototypes.mjs';
+export * as constants from './game/constants.mjs';
+export * as pathFinder from './game/path-finder.mjs';
+export * as visual from './game/visual.mjs';
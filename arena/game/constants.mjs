@@ -0,0 +1,5 @@
+/**
+ * game/constants - Arena constants backed by the simulator's constants
+ */
+
+export * from '../../core/constants.mjs';
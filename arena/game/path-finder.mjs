@@ -0,0 +1,19 @@
+/**
+ * game/path-finder - Arena PathFinder backed by the simulator's A* search
+ */
+
+import { CostMatrix } from '../../core/pathfinder.mjs';
+import { getTickContext } from '../context.mjs';
+
+export { CostMatrix };
+
+/**
+ * Find a path on the simulated terrain (creeps are not obstacles, as in the game)
+ * @param {Object} origin - Start position with x, y
+ * @param {Object|Object[]} goal - Position, { pos, range }, or an array of those
+ * @param {Object} options - { costMatrix, plainCost, swampCost, flee, maxOps, maxCost, heuristicWeight }
+ * @returns {Object} { path, ops, cost, incomplete }
+ */
+export function searchPath(origin, goal, options = {}) {
+    return getTickContext().world.searchPath(origin, goal, options);
+}
@@ -0,0 +1,245 @@
+/**
+ * game/prototypes - Arena game object prototypes backed by CombatEngine state
+ *
+ * Objects keep their identity for the whole battle (like in the real game), so a
+ * bot can hold on to a creep across ticks. Actions validate against the
+ * start-of-tick state and are queued as strategy intents.
+ */
+
+import {
+    ATTACK, RANGED_ATTACK, HEAL,
+    ATTACK_RANGE, RANGED_ATTACK_RANGE, HEAL_RANGE, RANGED_HEAL_RANGE,
+    STRUCTURE_TOWER, STRUCTURE_RAMPART, RESOURCE_ENERGY,
+    OK, ERR_NOT_OWNER, ERR_TIRED, ERR_INVALID_ARGS, ERR_INVALID_TARGET, ERR_NO_BODYPART
+} from '../../core/constants.mjs';
+import { validateAction } from '../../core/creep.mjs';
+import { validateTowerAction } from '../../core/structure.mjs';
+import { getTickContext } from '../context.mjs';
+import { getRange, findClosestByRange, findInRange } from './utils.mjs';
+
+const viewOf = new WeakMap(); // game object -> { view, exists }
+
+function getView(object) {
+    return viewOf.get(object).view;
+}
+
+/**
+ * Build (or refresh) the game objects for the bound tick
+ * @returns {GameObject[]} Objects that exist this tick
+ */
+export function getAllObjects() {
+    const context = getTickContext();
+    if (context.objects) {
+        return context.objects;
+    }
+
+    const { world, registry } = context;
+    const seen = new Set();
+    const objects = [];
+
+    const entries = [
+        ...[...world.myCreeps, ...world.enemyCreeps].map(view => [view, Creep]),
+        ...world.structures.map(view => [view, getStructurePrototype(view.structureType)])
+    ];
+
+    for (const [view, Prototype] of entries) {
+        let object = registry.get(view.id);
+        if (!object) {
+            object = new Prototype();
+            registry.set(view.id, object);
+        }
+
+        viewOf.set(object, { view, exists: true });
+        seen.add(view.id);
+        objects.push(object);
+    }
+
+    // Creeps and structures that died keep their last state but stop existing
+    for (const [id, object] of registry.entries()) {
+        if (!seen.has(id)) {
+            viewOf.get(object).exists = false;
+        }
+    }
+
+    context.objects = objects;
+    return objects;
+}
+
+export class GameObject {
+    get id() {
+        return getView(this).id;
+    }
+
+    get x() {
+        return getView(this).x;
+    }
+
+    get y() {
+        return getView(this).y;
+    }
+
+    get exists() {
+        return viewOf.get(this).exists;
+    }
+
+    getRangeTo(pos) {
+        return getRange(this, pos);
+    }
+
+    findClosestByRange(positions) {
+        return findClosestByRange(this, positions);
+    }
+
+    findInRange(positions, range) {
+        return findInRange(this, positions, range);
+    }
+}
+
+export class Creep extends GameObject {
+    get my() {
+        return getView(this).my;
+    }
+
+    get hits() {
+        return this.exists ? getView(this).hits : 0;
+    }
+
+    get hitsMax() {
+        return getView(this).hitsMax;
+    }
+
+    get fatigue() {
+        return getView(this).fatigue;
+    }
+
+    get body() {
+        return getView(this).body.map(part => ({ type: part.type, hits: part.hits, boost: part.boost }));
+    }
+
+    attack(target) {
+        return queueAction(this, 'attack', target, ATTACK, ATTACK_RANGE);
+    }
+
+    rangedAttack(target) {
+        return queueAction(this, 'rangedAttack', target, RANGED_ATTACK, RANGED_ATTACK_RANGE);
+    }
+
+    rangedMassAttack() {
+        if (!this.my) {
+            return ERR_NOT_OWNER;
+        }
+        if (getView(this).getActiveBodyParts(RANGED_ATTACK) === 0) {
+            return ERR_NO_BODYPART;
+        }
+
+        getTickContext().intents.push({ creep: this.id, type: 'rangedMassAttack' });
+        return OK;
+    }
+
+    heal(target) {
+        if (target instanceof Structure) {
+            return ERR_INVALID_TARGET;
+        }
+        return queueAction(this, 'heal', target, HEAL, HEAL_RANGE);
+    }
+
+    rangedHeal(target) {
+        if (target instanceof Structure) {
+            return ERR_INVALID_TARGET;
+        }
+        return queueAction(this, 'rangedHeal', target, HEAL, RANGED_HEAL_RANGE);
+    }
+
+    moveTo(target) {
+        if (!this.my) {
+            return ERR_NOT_OWNER;
+        }
+        if (!target || typeof target.x !== 'number' || typeof target.y !== 'number') {
+            return ERR_INVALID_ARGS;
+        }
+        if (this.fatigue > 0) {
+            return ERR_TIRED;
+        }
+
+        getTickContext().intents.push({
+            creep: this.id,
+            type: 'move',
+            target: { x: target.x, y: target.y }
+        });
+        return OK;
+    }
+}
+
+export class Structure extends GameObject {
+    get hits() {
+        return this.exists ? getView(this).hits : 0;
+    }
+
+    get hitsMax() {
+        return getView(this).hitsMax;
+    }
+}
+
+export class OwnedStructure extends Structure {
+    get my() {
+        return getView(this).my;
+    }
+}
+
+export class StructureSpawn extends OwnedStructure {}
+
+export class StructureTower extends OwnedStructure {
+    get store() {
+        return { [RESOURCE_ENERGY]: getView(this).energy };
+    }
+
+    get cooldown() {
+        return getView(this).cooldown;
+    }
+
+    attack(target) {
+        return queueTowerAction(this, 'attack', target);
+    }
+
+    heal(target) {
+        if (target instanceof Structure) {
+            return ERR_INVALID_TARGET;
+        }
+        return queueTowerAction(this, 'heal', target);
+    }
+}
+
+export class StructureRampart extends OwnedStructure {}
+
+export class StructureWall extends Structure {}
+
+function getStructurePrototype(structureType) {
+    if (structureType === STRUCTURE_TOWER) {
+        return StructureTower;
+    }
+    return structureType === STRUCTURE_RAMPART ? StructureRampart : StructureWall;
+}
+
+function queueAction(creep, type, target, partType, maxRange) {
+    if (!creep.my) {
+        return ERR_NOT_OWNER;
+    }
+
+    const result = validateAction(getView(creep), target, partType, maxRange);
+    if (result === OK) {
+        getTickContext().intents.push({ creep: creep.id, type, target: target.id });
+    }
+    return result;
+}
+
+function queueTowerAction(tower, type, target) {
+    if (!tower.my) {
+        return ERR_NOT_OWNER;
+    }
+
+    const result = validateTowerAction(getView(tower), target);
+    if (result === OK) {
+        getTickContext().intents.push({ creep: tower.id, type, target: target.id });
+    }
+    return result;
+}
@@ -0,0 +1,103 @@
+/**
+ * game/utils - Arena utility functions backed by CombatEngine state
+ */
+
+import {
+    TERRAIN_PLAIN, TERRAIN_SWAMP, TERRAIN_WALL, FATIGUE_COST_SWAMP
+} from '../../core/constants.mjs';
+import { getTickContext } from '../context.mjs';
+import { getAllObjects } from './prototypes.mjs';
+
+/**
+ * Current tick number (starts at 1)
+ * @returns {number} Tick
+ */
+export function getTicks() {
+    return getTickContext().world.tick;
+}
+
+/**
+ * All existing objects that are instances of a prototype
+ * @param {Function} prototype - Class such as Creep or StructureSpawn
+ * @returns {Object[]} Matching objects
+ */
+export function getObjectsByPrototype(prototype) {
+    return getAllObjects().filter(object => object instanceof prototype);
+}
+
+/**
+ * Find an existing object by id
+ * @param {string} id - Object id
+ * @returns {Object|null} Object or null
+ */
+export function getObjectById(id) {
+    return getAllObjects().find(object => object.id === id) || null;
+}
+
+/**
+ * Chebyshev range between two positions
+ * @param {Object} a - Position with x, y
+ * @param {Object} b - Position with x, y
+ * @returns {number} Range
+ */
+export function getRange(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Positions within range of a position
+ * @param {Object} fromPos - Origin
+ * @param {Object[]} positions - Candidates
+ * @param {number} range - Maximum range
+ * @returns {Object[]} Candidates in range
+ */
+export function findInRange(fromPos, positions, range) {
+    return positions.filter(pos => getRange(fromPos, pos) <= range);
+}
+
+/**
+ * Closest position by range
+ * @param {Object} fromPos - Origin
+ * @param {Object[]} positions - Candidates
+ * @returns {Object|null} Closest candidate
+ */
+export function findClosestByRange(fromPos, positions) {
+    let closest = null;
+    let closestRange = Infinity;
+
+    for (const pos of positions) {
+        const range = getRange(fromPos, pos);
+        if (range < closestRange) {
+            closest = pos;
+            closestRange = range;
+        }
+    }
+
+    return closest;
+}
+
+/**
+ * Path between two positions on the simulated terrain
+ * @param {Object} fromPos - Origin
+ * @param {Object} toPos - Destination
+ * @param {Object} options - game/path-finder searchPath options
+ * @returns {Object[]} Steps excluding the origin
+ */
+export function findPath(fromPos, toPos, options = {}) {
+    return getTickContext().world.searchPath(fromPos, { pos: toPos, range: 0 }, options).path;
+}
+
+/**
+ * Terrain type at a position
+ * @param {Object} pos - Position with x, y
+ * @returns {number} TERRAIN_WALL, TERRAIN_SWAMP or TERRAIN_PLAIN
+ */
+export function getTerrainAt(pos) {
+    const { terrain } = getTickContext().world;
+
+    if (!terrain.isWalkable(pos.x, pos.y)) {
+        return TERRAIN_WALL;
+    }
+
+    return terrain.getCost(pos.x, pos.y) === FATIGUE_COST_SWAMP ? TERRAIN_SWAMP : TERRAIN_PLAIN;
+}
@@ -0,0 +1,18 @@
+/**
+ * game/visual - No-op Visual so bots that draw debug overlays still run
+ */
+
+export class Visual {
+    constructor(layer = 0, persistent = false) {
+        this.layer = layer;
+        this.persistent = persistent;
+    }
+
+    circle() { return this; }
+    line() { return this; }
+    poly() { return this; }
+    rect() { return this; }
+    text() { return this; }
+    clear() { return this; }
+    size() { return 0; }
+}
@@ -0,0 +1,24 @@
+/**
+ * Module resolution hooks mapping the Arena `game/*` specifiers to the shim
+ * Registered through node:module register() by arena-strategy.mjs.
+ */
+
+const SHIM_MODULES = {
+    'game': './game.mjs',
+    'game/utils': './game/utils.mjs',
+    'game/prototypes': './game/prototypes.mjs',
+    'game/constants': './game/constants.mjs',
+    'game/path-finder': './game/path-finder.mjs',
+    'game/visual': './game/visual.mjs'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+    if (Object.prototype.hasOwnProperty.call(SHIM_MODULES, specifier)) {
+        return {
+            url: new URL(SHIM_MODULES[specifier], import.meta.url).href,
+            shortCircuit: true
+        };
+    }
+
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,45 @@
+import { CombatEngine } from './core/combat-engine.mjs';
+import { MockCreep } from './core/creep.mjs';
+import { TOWER_CAPACITY } from './core/constants.mjs';
+
+// The player's strategy tries to fire the enemy tower and move an enemy creep;
+// the enemy runs its own (idle) strategy, so neither should act.
+const engine = new CombatEngine({
+    seed: 1,
+    strategies: {
+        player: () => [
+            { creep: 'enemy_tower_0', type: 'attack', target: 'e1' },
+            { creep: 'e1', type: 'move', target: { x: 30, y: 20 } }
+        ],
+        enemy: () => []
+    },
+    structures: [{ type: 'tower', x: 40, y: 40, owner: 'enemy' }]
+});
+
+engine.addCreep(new MockCreep('p1', 5, 5, ['move', 'attack'], true));
+engine.addCreep(new MockCreep('e1', 30, 30, ['move', 'attack'], false));
+engine.executeTick();
+
+const tower = engine.structures.find(s => s.id === 'enemy_tower_0');
+const e1 = engine.creeps.find(c => c.id === 'e1');
+
+console.log('Checking that strategies only command their own side...\n');
+
+let violations = 0;
+
+if (tower.cooldown > 0 || tower.energy < TOWER_CAPACITY || e1.hits < e1.hitsMax) {
+    violations++;
+    console.log(`❌ Player strategy fired the enemy tower (energy ${tower.energy}, cooldown ${tower.cooldown})`);
+}
+
+if (e1.x !== 30 || e1.y !== 30) {
+    violations++;
+    console.log(`❌ Player strategy moved enemy creep e1 to ${e1.x},${e1.y}`);
+}
+
+if (violations === 0) {
+    console.log('✅ Cross-side tower and creep intents were rejected');
+} else {
+    console.log('\n⚠️ Strategies can command the other side!');
+    process.exitCode = 1;
+}
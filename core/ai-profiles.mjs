@@ -0,0 +1,347 @@
+/**
+ * AI Profiles - Selectable built-in behaviors for the combat engine
+ *
+ * Each profile drives one creep for one tick with the same engine helpers
+ * runSimpleAI uses, so a composition can be tried under several play styles
+ * without writing a strategy:
+ *
+ *   default   runSimpleAI: focus the weakest nearby enemy, kite while healthy
+ *   rush      everyone charges the nearest enemy and never backs off
+ *   kite      ranged creeps hold at range 3 and back away from anything closer
+ *   turtle    attackers stay next to their healers and fight what comes into reach
+ *   focus     the whole side goes for the enemy with the lowest effective hits
+ *   retreat   creeps below half health fall back to a healer until patched up
+ */
+
+import {
+    ATTACK, RANGED_ATTACK, HEAL,
+    HEAL_POWER, RANGED_HEAL_POWER, RANGED_ATTACK_RANGE
+} from './constants.mjs';
+
+// Range the kite profile holds its ranged creeps at
+const KITE_RANGE = RANGED_ATTACK_RANGE;
+
+// Retreat profile: fall back below this share of hits, rejoin the fight above the second
+const RETREAT_BELOW = 0.5;
+const RETURN_ABOVE = 0.9;
+
+/**
+ * Queue a move for a creep, routing around other creeps and structures
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Moving creep
+ * @param {Object} target - Position { x, y }
+ * @param {number} range - Stop within this range (default 0)
+ * @returns {number} OK or error code
+ */
+export function moveToward(engine, creep, target, range = 0) {
+    return engine.moveCreep(creep, target, { range });
+}
+
+/**
+ * Find the closest of several creeps
+ * @param {MockCreep} creep - Reference creep
+ * @param {MockCreep[]} candidates - Creeps to choose from
+ * @returns {MockCreep|null} Closest candidate
+ */
+function findNearest(creep, candidates) {
+    return candidates.reduce((nearest, candidate) => (
+        !nearest || creep.getRangeTo(candidate) < creep.getRangeTo(nearest) ? candidate : nearest
+    ), null);
+}
+
+/**
+ * Check whether a creep only heals (no working attack parts)
+ * @param {MockCreep} creep - Creep to check
+ * @returns {boolean} True for pure healers
+ */
+function isHealer(creep) {
+    return creep.getActiveBodyParts(HEAL) > 0 &&
+        creep.getActiveBodyParts(ATTACK) === 0 &&
+        creep.getActiveBodyParts(RANGED_ATTACK) === 0;
+}
+
+/**
+ * Attack a target with whatever reaches it
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Attacking creep
+ * @param {MockCreep} target - Target
+ */
+function attackInReach(engine, creep, target) {
+    const range = creep.getRangeTo(target);
+
+    if (range <= 1 && creep.getActiveBodyParts(ATTACK) > 0) {
+        creep.attack(target);
+    }
+    if (range <= RANGED_ATTACK_RANGE && creep.getActiveBodyParts(RANGED_ATTACK) > 0) {
+        engine.performRangedAttack(creep, target);
+    }
+}
+
+/**
+ * Heal the most damaged friendly within reach
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Healing creep
+ * @returns {MockCreep|null} Creep healed, null if nobody in reach needed it
+ */
+export function healInReach(engine, creep) {
+    if (creep.getActiveBodyParts(HEAL) === 0) {
+        return null;
+    }
+
+    const damaged = engine.getAliveCreeps(creep.my)
+        .filter(c => c.hits < c.hitsMax && creep.getRangeTo(c) <= RANGED_ATTACK_RANGE);
+    if (damaged.length === 0) {
+        return null;
+    }
+
+    const target = damaged.reduce((most, c) => (c.hitsMax - c.hits > most.hitsMax - most.hits ? c : most));
+    if (creep.getRangeTo(target) <= 1) {
+        creep.heal(target);
+    } else {
+        creep.rangedHeal(target);
+    }
+    return target;
+}
+
+/**
+ * Raw damage needed to kill a creep next tick: its effective hits plus the
+ * healing its side can land on it
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to assess
+ * @returns {number} Effective hits including incoming healing
+ */
+function getSupportedHits(engine, creep) {
+    let healing = 0;
+
+    for (const healer of engine.getAliveCreeps(creep.my)) {
+        const range = healer.getRangeTo(creep);
+        if (range <= 1) {
+            healing += healer.getBoostedPower(HEAL, 'heal', HEAL_POWER);
+        } else if (range <= RANGED_ATTACK_RANGE) {
+            healing += healer.getBoostedPower(HEAL, 'rangedHeal', RANGED_HEAL_POWER);
+        }
+    }
+
+    return creep.getEffectiveHits() + healing;
+}
+
+/**
+ * Healer behavior shared by the kite and focus profiles: heal, stay out of
+ * melee reach, and follow the most damaged friendly (or the nearest attacker)
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Healer
+ */
+function supportFromRange(engine, creep) {
+    healInReach(engine, creep);
+
+    const threats = engine.getAliveCreeps(!creep.my).filter(enemy => creep.getRangeTo(enemy) < KITE_RANGE);
+    if (threats.length > 0) {
+        const escape = engine.findFleePath(creep, threats, { range: KITE_RANGE }).path[0];
+        if (escape) {
+            moveToward(engine, creep, escape);
+        }
+        return;
+    }
+
+    const friendlies = engine.getAliveCreeps(creep.my).filter(c => c !== creep);
+    const follow = engine.findMostDamagedFriendly(creep) || findNearest(creep, friendlies.filter(c => !isHealer(c)));
+    if (follow && follow !== creep) {
+        moveToward(engine, creep, follow, 1);
+    }
+}
+
+/**
+ * Pure aggressive rush: charge the nearest enemy, attack whatever is in reach
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ */
+function rush(engine, creep) {
+    const target = engine.findNearestEnemy(creep);
+    if (!target) {
+        return;
+    }
+
+    if (isHealer(creep)) {
+        healInReach(engine, creep);
+    } else {
+        attackInReach(engine, creep, target);
+    }
+    moveToward(engine, creep, target, 1);
+}
+
+/**
+ * Disciplined kiting: ranged creeps hold exactly at range 3 from every enemy,
+ * melee creeps (which can't kite) charge
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ */
+function kite(engine, creep) {
+    const target = engine.findNearestEnemy(creep);
+    if (!target) {
+        return;
+    }
+
+    if (isHealer(creep)) {
+        supportFromRange(engine, creep);
+        return;
+    }
+
+    attackInReach(engine, creep, target);
+
+    if (creep.getActiveBodyParts(RANGED_ATTACK) === 0) {
+        moveToward(engine, creep, target, 1);
+        return;
+    }
+
+    const threats = engine.getAliveCreeps(!creep.my).filter(enemy => creep.getRangeTo(enemy) < KITE_RANGE);
+    if (threats.length > 0) {
+        const escape = engine.findFleePath(creep, threats, { range: KITE_RANGE }).path[0];
+        if (escape) {
+            moveToward(engine, creep, escape);
+        }
+    } else if (creep.getRangeTo(target) > KITE_RANGE) {
+        moveToward(engine, creep, target, KITE_RANGE);
+    }
+}
+
+/**
+ * Healer-focused turtle: healers tend the wounded, everyone else stays next
+ * to a healer and fights only what comes into reach. A side without healers
+ * holds its ground.
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ */
+function turtle(engine, creep) {
+    if (isHealer(creep)) {
+        healInReach(engine, creep);
+        const damaged = engine.findMostDamagedFriendly(creep);
+        if (damaged && damaged !== creep && creep.getRangeTo(damaged) > 1) {
+            moveToward(engine, creep, damaged, 1);
+        }
+        return;
+    }
+
+    const target = engine.findNearestEnemy(creep);
+    if (target) {
+        attackInReach(engine, creep, target);
+    }
+
+    const healer = findNearest(creep, engine.getAliveCreeps(creep.my).filter(c => c !== creep && isHealer(c)));
+    if (healer && creep.getRangeTo(healer) > 1) {
+        moveToward(engine, creep, healer, 1);
+    }
+}
+
+// Focus target per engine, computed once per side per tick (see getFocusTarget)
+const focusTargets = new WeakMap();
+
+/**
+ * Enemy of a side with the lowest supported hits, shared by the side's whole tick
+ * Hits and positions don't change while intents are issued, so the first creep
+ * to ask computes it and the rest of its side reuse it. The cache is keyed on
+ * the engine's creep list too, which reset() replaces for every battle.
+ * @param {CombatEngine} engine - Engine instance
+ * @param {boolean} my - Side looking for a target
+ * @returns {MockCreep|null} Weakest enemy, or null if there is none
+ */
+function getFocusTarget(engine, my) {
+    let cache = focusTargets.get(engine);
+    if (!cache || cache.tick !== engine.tick || cache.creeps !== engine.creeps) {
+        cache = { tick: engine.tick, creeps: engine.creeps, targets: new Map() };
+        focusTargets.set(engine, cache);
+    }
+
+    if (!cache.targets.has(my)) {
+        let weakest = null;
+        let weakestHits = Infinity;
+        for (const enemy of engine.getAliveCreeps(!my)) {
+            const hits = getSupportedHits(engine, enemy);
+            if (hits < weakestHits) {
+                weakest = enemy;
+                weakestHits = hits;
+            }
+        }
+        cache.targets.set(my, weakest);
+    }
+
+    return cache.targets.get(my);
+}
+
+/**
+ * Focus fire: the whole side closes on the enemy with the lowest effective
+ * hits (boosted TOUGH and incoming healing included), hitting anything else
+ * in reach on the way
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ */
+function focus(engine, creep) {
+    const enemies = engine.getAliveCreeps(!creep.my);
+    if (enemies.length === 0) {
+        return;
+    }
+
+    if (isHealer(creep)) {
+        supportFromRange(engine, creep);
+        return;
+    }
+
+    const target = getFocusTarget(engine, creep.my);
+
+    const range = creep.getRangeTo(target);
+    const reach = creep.getActiveBodyParts(RANGED_ATTACK) > 0 ? RANGED_ATTACK_RANGE : 1;
+    attackInReach(engine, creep, range <= reach ? target : engine.findNearestEnemy(creep));
+    moveToward(engine, creep, target, 1);
+}
+
+/**
+ * Retreat to heal: creeps below half health fall back to the nearest healer
+ * (shooting as they go) and stay with it until nearly full, otherwise they
+ * fight like runSimpleAI
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ */
+function retreat(engine, creep) {
+    const health = creep.hits / creep.hitsMax;
+    const healer = findNearest(creep, engine.getAliveCreeps(creep.my)
+        .filter(c => c !== creep && c.getActiveBodyParts(HEAL) > 0));
+    const recovering = healer && (health < RETREAT_BELOW || (health < RETURN_ABOVE && creep.getRangeTo(healer) <= 1));
+
+    if (!recovering) {
+        engine.runSimpleAI(creep);
+        return;
+    }
+
+    const target = engine.findNearestEnemy(creep);
+    if (target) {
+        attackInReach(engine, creep, target);
+    }
+    if (creep.getRangeTo(healer) > 1) {
+        moveToward(engine, creep, healer, 1);
+    }
+}
+
+export const AI_PROFILES = {
+    default: (engine, creep) => engine.runSimpleAI(creep),
+    rush,
+    kite,
+    turtle,
+    focus,
+    retreat
+};
+
+/**
+ * Look up a built-in AI profile
+ * @param {string} name - Profile name (null for the default)
+ * @returns {Function} (engine, creep) => void
+ */
+export function getAIProfile(name) {
+    if (!name) {
+        return AI_PROFILES.default;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(AI_PROFILES, name)) {
+        throw new Error(`Unknown AI profile "${name}". Available: ${Object.keys(AI_PROFILES).join(', ')}`);
+    }
+
+    return AI_PROFILES[name];
+}
@@ -0,0 +1,315 @@
+/**
+ * Behavior Trees - Declarative per-role tactics from JSON files in tactics/
+ *
+ * A tactics file binds a behavior tree to each role ScenarioGenerator.identifyRole
+ * assigns (Ranger, Berserker, Medic, Operator, Enforcer, Conscript), with
+ * `default` covering any role not listed:
+ *
+ *   {
+ *       "name": "cautious-rangers",
+ *       "description": "Rangers back off from melee while healthy",
+ *       "roles": {
+ *           "Ranger": { "selector": [
+ *               { "sequence": [
+ *                   { "if": "enemyWithin", "range": 2, "part": "attack" },
+ *                   { "if": "hpAbove", "value": 0.5 },
+ *                   { "do": "flee", "range": 3 }
+ *               ] },
+ *               { "sequence": [
+ *                   { "if": "targetInRange", "range": 3 },
+ *                   { "do": "rangedAttack" }
+ *               ] },
+ *               { "do": "approach", "range": 3 }
+ *           ] }
+ *       }
+ *   }
+ *
+ * The engine evaluates each creep's tree once per tick. Every node succeeds or fails:
+ *
+ *   { "selector": [...] }   children in order until one succeeds ("else if")
+ *   { "sequence": [...] }   children in order until one fails ("and ... then")
+ *   { "parallel": [...] }   every child; succeeds if any did (attack and move in one tick)
+ *   { "not": node }         inverts a child
+ *   { "if": "<condition>" } condition leaf (see CONDITIONS)
+ *   { "do": "<action>" }    action leaf, succeeds if it issued something (see ACTIONS)
+ *
+ * Leaves take their parameters inline. `target` picks the enemy an action or
+ * condition refers to: nearest (default), weakest, toughest or healer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ATTACK, RANGED_ATTACK, HEAL, BODYPART_COST, RANGED_ATTACK_RANGE, OK } from './constants.mjs';
+import { moveToward, healInReach } from './ai-profiles.mjs';
+
+export const TACTICS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../tactics');
+
+const COMPOSITES = ['selector', 'sequence', 'parallel'];
+
+/**
+ * Enemy selectors for the `target` parameter
+ * Each returns the chosen enemy, or null if there is none.
+ */
+const TARGETS = {
+    nearest: (engine, creep) => engine.findNearestEnemy(creep),
+    weakest: (engine, creep) => engine.findMostDamagedEnemy(creep) || engine.findNearestEnemy(creep),
+    toughest: (engine, creep) => engine.getAliveCreeps(!creep.my)
+        .reduce((best, enemy) => (!best || enemy.getEffectiveHits() > best.getEffectiveHits() ? enemy : best), null),
+    healer: (engine, creep) => engine.getAliveCreeps(!creep.my)
+        .filter(enemy => enemy.getActiveBodyParts(HEAL) > 0)
+        .reduce((nearest, enemy) => (!nearest || creep.getRangeTo(enemy) < creep.getRangeTo(nearest) ? enemy : nearest), null)
+};
+
+/**
+ * Condition leaves: (engine, creep, params) => boolean
+ */
+const CONDITIONS = {
+    // Own hits above / below a share of hitsMax ({ value: 0.5 })
+    hpAbove: (engine, creep, { value }) => creep.hits / creep.hitsMax > value,
+    hpBelow: (engine, creep, { value }) => creep.hits / creep.hitsMax < value,
+    // At least `count` (default 1) enemies within `range`, optionally only those with a working `part`
+    enemyWithin: (engine, creep, { range, part = null, count = 1 }) => engine.getAliveCreeps(!creep.my)
+        .filter(enemy => creep.getRangeTo(enemy) <= range && (!part || enemy.getActiveBodyParts(part) > 0))
+        .length >= count,
+    // The selected target is within `range`
+    targetInRange: (engine, creep, { range, target = 'nearest' }) => {
+        const enemy = TARGETS[target](engine, creep);
+        return Boolean(enemy) && creep.getRangeTo(enemy) <= range;
+    },
+    // A friendly (self included) within `range` (default 3) is below `below` (default 1) of its hitsMax
+    friendDamaged: (engine, creep, { range = RANGED_ATTACK_RANGE, below = 1 }) => engine.getAliveCreeps(creep.my)
+        .some(friend => creep.getRangeTo(friend) <= range && friend.hits / friend.hitsMax < below),
+    // The creep still has a working `part`
+    hasPart: (engine, creep, { part }) => creep.getActiveBodyParts(part) > 0
+};
+
+/**
+ * Action leaves: (engine, creep, params) => boolean (true if something was issued)
+ */
+const ACTIONS = {
+    attack: (engine, creep, { target = 'nearest' }) => {
+        const enemy = TARGETS[target](engine, creep);
+        if (!enemy || creep.getRangeTo(enemy) > 1 || creep.getActiveBodyParts(ATTACK) === 0) {
+            return false;
+        }
+        creep.attack(enemy);
+        return true;
+    },
+    // Switches to rangedMassAttack when several enemies are in reach, like the built-in AI
+    rangedAttack: (engine, creep, { target = 'nearest' }) => {
+        const enemy = TARGETS[target](engine, creep);
+        if (!enemy || creep.getRangeTo(enemy) > RANGED_ATTACK_RANGE || creep.getActiveBodyParts(RANGED_ATTACK) === 0) {
+            return false;
+        }
+        engine.performRangedAttack(creep, enemy);
+        return true;
+    },
+    // Hit the weakest structure in reach that isn't the creep's own (hostile towers and
+    // ramparts, constructed walls), optionally only of `structureType`
+    attackStructure: (engine, creep, { structureType = null }) => {
+        const melee = creep.getActiveBodyParts(ATTACK) > 0;
+        const ranged = creep.getActiveBodyParts(RANGED_ATTACK) > 0;
+        const reach = ranged ? RANGED_ATTACK_RANGE : 1;
+        const structure = engine.getAliveStructures()
+            .filter(s => s.my !== creep.my && (!structureType || s.structureType === structureType) && creep.getRangeTo(s) <= reach)
+            .reduce((weakest, s) => (!weakest || s.hits < weakest.hits ? s : weakest), null);
+
+        if (!structure || (!ranged && !melee)) {
+            return false;
+        }
+        if (melee && creep.getRangeTo(structure) <= 1) {
+            creep.attack(structure);
+        }
+        if (ranged) {
+            creep.rangedAttack(structure);
+        }
+        return true;
+    },
+    // Heal the most damaged friendly in reach
+    heal: (engine, creep) => healInReach(engine, creep) !== null,
+    // Move to within `range` (default 1) of the target; succeeds once there
+    approach: (engine, creep, { range = 1, target = 'nearest' }) => {
+        const enemy = TARGETS[target](engine, creep);
+        return Boolean(enemy) && moveToward(engine, creep, enemy, range) === OK;
+    },
+    // Step away until every enemy is at least `range` (default 3) away
+    flee: (engine, creep, { range = RANGED_ATTACK_RANGE }) => {
+        const threats = engine.getAliveCreeps(!creep.my).filter(enemy => creep.getRangeTo(enemy) < range);
+        const escape = threats.length > 0 ? engine.findFleePath(creep, threats, { range }).path[0] : null;
+        return Boolean(escape) && moveToward(engine, creep, escape) === OK;
+    },
+    // Move next to the nearest friendly of `role` (any role when omitted)
+    follow: (engine, creep, { role = null, range = 1 }) => {
+        const friend = engine.getAliveCreeps(creep.my)
+            .filter(c => c !== creep && (!role || c.role === role))
+            .reduce((nearest, c) => (!nearest || creep.getRangeTo(c) < creep.getRangeTo(nearest) ? c : nearest), null);
+        return Boolean(friend) && moveToward(engine, creep, friend, range) === OK;
+    },
+    // Move next to the nearest friendly that can heal
+    retreatToHealer: (engine, creep) => {
+        const healer = engine.getAliveCreeps(creep.my)
+            .filter(c => c !== creep && c.getActiveBodyParts(HEAL) > 0)
+            .reduce((nearest, c) => (!nearest || creep.getRangeTo(c) < creep.getRangeTo(nearest) ? c : nearest), null);
+        return Boolean(healer) && moveToward(engine, creep, healer, 1) === OK;
+    },
+    // Do nothing this tick
+    hold: () => true,
+    // Hand the creep to its side's AI profile for this tick
+    builtin: (engine, creep) => {
+        engine.runProfile(creep);
+        return true;
+    }
+};
+
+// Parameters each leaf requires
+const REQUIRED_PARAMS = {
+    hpAbove: ['value'],
+    hpBelow: ['value'],
+    enemyWithin: ['range'],
+    targetInRange: ['range'],
+    hasPart: ['part']
+};
+
+/**
+ * Names of the bundled tactics files
+ * @returns {string[]} Tactics names (file names without extension)
+ */
+export function listTactics() {
+    if (!fs.existsSync(TACTICS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(TACTICS_DIR)
+        .filter(file => path.extname(file) === '.json')
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Check a behavior tree node and its children
+ * @param {Object} node - Tree node
+ * @param {string} label - Location for error messages
+ */
+function validateNode(node, label) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw new Error(`${label}: node must be an object`);
+    }
+
+    const composite = COMPOSITES.find(type => type in node);
+    if (composite) {
+        if (!Array.isArray(node[composite]) || node[composite].length === 0) {
+            throw new Error(`${label}: "${composite}" needs a list of child nodes`);
+        }
+        node[composite].forEach((child, index) => validateNode(child, `${label}.${composite}[${index}]`));
+        return;
+    }
+
+    if ('not' in node) {
+        validateNode(node.not, `${label}.not`);
+        return;
+    }
+
+    const kind = 'if' in node ? 'condition' : 'do' in node ? 'action' : null;
+    if (!kind) {
+        throw new Error(`${label}: expected one of ${[...COMPOSITES, 'not', 'if', 'do'].join(', ')}`);
+    }
+
+    const name = kind === 'condition' ? node.if : node.do;
+    const leaves = kind === 'condition' ? CONDITIONS : ACTIONS;
+    if (!Object.prototype.hasOwnProperty.call(leaves, name)) {
+        throw new Error(`${label}: unknown ${kind} "${name}". Available: ${Object.keys(leaves).join(', ')}`);
+    }
+
+    for (const param of REQUIRED_PARAMS[name] || []) {
+        if (node[param] === undefined) {
+            throw new Error(`${label}: "${name}" needs "${param}"`);
+        }
+    }
+    if (node.target !== undefined && !TARGETS[node.target]) {
+        throw new Error(`${label}: unknown target "${node.target}". Available: ${Object.keys(TARGETS).join(', ')}`);
+    }
+    if (node.part !== undefined && BODYPART_COST[node.part] === undefined) {
+        throw new Error(`${label}: unknown body part "${node.part}"`);
+    }
+}
+
+/**
+ * Build tactics from parsed file data
+ * @param {Object} data - Tactics definition (see module header)
+ * @param {string} fallbackName - Name to use when the data has none
+ * @returns {Object} { name, description, roles }
+ */
+export function parseTactics(data, fallbackName = 'custom') {
+    const name = data?.name || fallbackName;
+    const roles = data?.roles;
+
+    if (!roles || typeof roles !== 'object' || Object.keys(roles).length === 0) {
+        throw new Error(`Tactics "${name}" has no roles`);
+    }
+
+    for (const [role, tree] of Object.entries(roles)) {
+        validateNode(tree, `Tactics "${name}" ${role}`);
+    }
+
+    return { name, description: data.description || '', roles };
+}
+
+/**
+ * Load tactics by bundled name or file path
+ * @param {string|Object} tactics - Tactics name (e.g. 'cautious-rangers'), path to a .json file, or tactics data
+ * @returns {Object|null} Parsed tactics (see parseTactics), null when none are given
+ */
+export function loadTactics(tactics) {
+    if (!tactics) {
+        return null;
+    }
+    if (typeof tactics === 'object') {
+        return parseTactics(tactics);
+    }
+
+    const bundled = path.join(TACTICS_DIR, `${tactics}.json`);
+    const file = fs.existsSync(bundled) ? bundled : path.resolve(String(tactics));
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown tactics "${tactics}". Bundled tactics: ${listTactics().join(', ')}`);
+    }
+
+    return parseTactics(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file, '.json'));
+}
+
+/**
+ * Get the tree for a role
+ * @param {Object} tactics - Parsed tactics (may be null)
+ * @param {string} role - Creep role
+ * @returns {Object|null} Tree for the role, the `default` tree, or null
+ */
+export function getRoleTree(tactics, role) {
+    return tactics?.roles[role] ?? tactics?.roles.default ?? null;
+}
+
+/**
+ * Evaluate a behavior tree for one creep, issuing its actions for this tick
+ * @param {CombatEngine} engine - Engine instance
+ * @param {MockCreep} creep - Creep to control
+ * @param {Object} node - Tree node (validated by parseTactics)
+ * @returns {boolean} True if the node succeeded
+ */
+export function runBehaviorTree(engine, creep, node) {
+    if (node.selector) {
+        return node.selector.some(child => runBehaviorTree(engine, creep, child));
+    }
+    if (node.sequence) {
+        return node.sequence.every(child => runBehaviorTree(engine, creep, child));
+    }
+    if (node.parallel) {
+        return node.parallel.map(child => runBehaviorTree(engine, creep, child)).some(Boolean);
+    }
+    if (node.not) {
+        return !runBehaviorTree(engine, creep, node.not);
+    }
+    if (node.if !== undefined) {
+        return CONDITIONS[node.if](engine, creep, node);
+    }
+    return ACTIONS[node.do](engine, creep, node);
+}
@@ -3,7 +3,21 @@
  */
 
 import { MockCreep } from './creep.mjs';
+import { Squad } from './squad.mjs';
+import { createStructure, StructureTower } from './structure.mjs';
 import { Terrain } from './terrain.mjs';
+import { normalizeStrategy, createWorldView, INTENT_TYPES } from './strategy.mjs';
+import { getAIProfile } from './ai-profiles.mjs';
+import { getRoleTree, runBehaviorTree } from './behavior-tree.mjs';
+import { searchPath, CostMatrix, IMPASSABLE } from './pathfinder.mjs';
+import { createRandom, deriveSeed } from './random.mjs';
+import { RANGED_ATTACK_RANGE, TOWER_RANGE, STRUCTURE_TOWER, STRUCTURE_RAMPART } from './constants.mjs';
+
+// A built-in AI squad breaks formation once an enemy is this close to any member
+const SQUAD_ENGAGE_RANGE = RANGED_ATTACK_RANGE + 2;
+
+// Action types understood by the visualizer
+const RECORDED_ACTION_TYPES = new Set(['attack', 'rangedAttack', 'rangedMassAttack', 'heal', 'rangedHeal']);
 
 const DEFAULT_SPAWN_JITTER = {
     radius: 2,
@@ -269,6 +283,18 @@ function cloneTerrainInstance(terrain) {
     return cloned;
 }
 
+/**
+ * Normalize the squad movement setting into per-side flags
+ * @param {boolean|Object} squads - true/false for both sides, or { player, enemy }
+ * @returns {Object} { player, enemy }
+ */
+function normalizeSquadMovement(squads) {
+    if (typeof squads === 'boolean') {
+        return { player: squads, enemy: squads };
+    }
+    return { player: Boolean(squads?.player), enemy: Boolean(squads?.enemy) };
+}
+
 export class CombatEngine {
     /**
      * Create combat engine
@@ -276,23 +302,41 @@ export class CombatEngine {
      */
     constructor(config = {}) {
         this.maxTicks = config.maxTicks || 1000;
-        this.randomSource = typeof config.random === 'function' ? config.random : Math.random;
-        const baseTerrain = config.terrain ? cloneTerrainInstance(config.terrain) : new Terrain(50, 50, 'plain');
+        // Run-level generator: per-battle seeds are drawn from it (see runMultipleBattles)
+        this.seed = config.seed ?? null;
+        this.batchRandom = typeof config.random === 'function'
+            ? config.random
+            : (this.seed !== null ? createRandom(this.seed) : Math.random);
+        this.randomSource = this.batchRandom;
+        // config.terrain may be a Terrain or ASCII art (e.g. the terrain of a recording)
+        const configTerrain = typeof config.terrain === 'string' ? Terrain.fromAscii(config.terrain) : config.terrain;
+        const baseTerrain = configTerrain ? cloneTerrainInstance(configTerrain) : new Terrain(50, 50, 'plain');
         this.baseTerrain = baseTerrain;
         this.terrain = cloneTerrainInstance(this.baseTerrain);
         this.verbose = config.verbose || false;
         this.recordBattle = config.recordBattle || false;
         this.entropy = normalizeEntropyConfig(config.entropy);
+        // Built-in AI sides that advance as one squad (strategies steer their squad themselves)
+        this.squadMovement = normalizeSquadMovement(config.squads);
         this.allRecordings = []; // Store all battle recordings
+        this.setStrategies(config.strategies);
+        this.setProfiles(config.profiles);
+        // Per-side behavior tree tactics (see core/behavior-tree.mjs), parsed by loadTactics
+        this.tactics = { player: config.tactics?.player || null, enemy: config.tactics?.enemy || null };
+        // Map structure definitions (see core/map-loader.mjs), rebuilt fresh for every battle
+        this.structureDefinitions = config.structures || [];
 
         this.reset();
     }
 
     /**
      * Reset engine state
+     * @param {Object} battleContext - Context of the battle about to run (optional)
+     * @param {boolean} replay - Re-apply the context's recorded terrain mutations instead of generating new ones
      */
-    reset(battleContext = null) {
+    reset(battleContext = null, replay = false) {
         this.creeps = [];
+        this.squads = [];
         this.tick = 0;
         this.battleLog = [];
         this.occupiedTiles = new Map(); // "x,y" -> creep
@@ -304,6 +348,20 @@ export class CombatEngine {
 
         this.terrain = cloneTerrainInstance(this.baseTerrain);
 
+        this.structures = this.structureDefinitions.map((definition, index) => createStructure(definition, index));
+        this.structureTiles = new Map(this.structures.map(structure => [`${structure.x},${structure.y}`, structure]));
+        this.structureMatrices = { player: null, enemy: null };
+
+        // Everything random in a battle (terrain, spawns, move tie-breaks) follows its seed
+        if (battleContext && battleContext.seed !== undefined && battleContext.seed !== null) {
+            this.randomSource = createRandom(battleContext.seed);
+        }
+
+        if (replay) {
+            this.applyTerrainMutations(battleContext?.terrainMutations);
+            return;
+        }
+
         if (this.entropy && this.entropy.randomTerrain) {
             this.generateRandomTerrain(battleContext);
         }
@@ -314,7 +372,124 @@ export class CombatEngine {
     }
 
     /**
-     * Update occupancy map (call at start of each tick)
+     * Re-apply recorded terrain entropy (swamps first, then walls, as generated)
+     * @param {Object} mutations - { swamps, walls } from a battle context
+     */
+    applyTerrainMutations(mutations) {
+        for (const tile of mutations?.swamps || []) {
+            this.terrain.setTerrain(tile.x, tile.y, 'swamp');
+        }
+        for (const tile of mutations?.walls || []) {
+            this.terrain.setTerrain(tile.x, tile.y, 'wall');
+        }
+    }
+
+    /**
+     * Assign per-team strategies (null side falls back to its AI profile)
+     * @param {Object} strategies - { player, enemy } strategy definitions
+     */
+    setStrategies(strategies = {}) {
+        this.strategies = {
+            player: normalizeStrategy(strategies?.player, 'player'),
+            enemy: normalizeStrategy(strategies?.enemy, 'enemy')
+        };
+    }
+
+    /**
+     * Assign per-team built-in AI profiles (see core/ai-profiles.mjs)
+     * Only used by sides without a strategy.
+     * @param {Object} profiles - { player, enemy } profile names (null side uses runSimpleAI)
+     */
+    setProfiles(profiles = {}) {
+        this.profiles = {
+            player: getAIProfile(profiles?.player),
+            enemy: getAIProfile(profiles?.enemy)
+        };
+    }
+
+    /**
+     * Run a creep's side's AI profile for this tick
+     * @param {MockCreep} creep - Creep to control
+     */
+    runProfile(creep) {
+        const profile = creep.my ? this.profiles.player : this.profiles.enemy;
+        profile(this, creep);
+    }
+
+    /**
+     * Control a creep on a side without a strategy: the side's behavior tree
+     * for the creep's role when its tactics have one, otherwise its AI profile
+     * @param {MockCreep} creep - Creep to control
+     */
+    runBuiltInAI(creep) {
+        const tree = getRoleTree(creep.my ? this.tactics.player : this.tactics.enemy, creep.role);
+        if (tree) {
+            runBehaviorTree(this, creep, tree);
+        } else {
+            this.runProfile(creep);
+        }
+
+        this.attackStructuresInReach(creep);
+    }
+
+    /**
+     * Put a creep that registered no action this tick to work on a hostile
+     * structure in reach: towers first, then ramparts, the weakest first.
+     * Keeps built-in sides from stalling at a base's gate. Constructed walls
+     * belong to nobody and are left to strategies and behavior trees.
+     * @param {MockCreep} creep - Creep to control
+     */
+    attackStructuresInReach(creep) {
+        if (this.structures.length === 0 || creep.getRegisteredActions().length > 0) {
+            return;
+        }
+
+        const rank = structure => (structure.structureType === STRUCTURE_TOWER ? 0 : 1);
+        const targets = this.getAliveStructures(!creep.my)
+            .filter(structure => creep.getRangeTo(structure) <= RANGED_ATTACK_RANGE)
+            .sort((a, b) => rank(a) - rank(b) || a.hits - b.hits);
+
+        const adjacent = targets.find(structure => creep.getRangeTo(structure) <= 1);
+        if (adjacent && creep.getActiveBodyParts('attack') > 0) {
+            creep.attack(adjacent);
+        }
+        if (targets.length > 0 && creep.getActiveBodyParts('ranged_attack') > 0) {
+            creep.rangedAttack(targets[0]);
+        }
+    }
+
+    /**
+     * Built-in tower behavior: shoot the nearest enemy creep, or heal the most
+     * damaged friendly when no enemy is in range
+     * @param {StructureTower} tower - Tower to control
+     */
+    runTowerAI(tower) {
+        const enemies = this.getAliveCreeps(!tower.my).filter(enemy => tower.getRangeTo(enemy) <= TOWER_RANGE);
+        if (enemies.length > 0) {
+            tower.attack(enemies.reduce((nearest, enemy) => (
+                tower.getRangeTo(enemy) < tower.getRangeTo(nearest) ? enemy : nearest
+            )));
+            return;
+        }
+
+        const damaged = this.getAliveCreeps(tower.my)
+            .filter(c => c.hits < c.hitsMax && tower.getRangeTo(c) <= TOWER_RANGE);
+        if (damaged.length > 0) {
+            tower.heal(damaged.reduce((most, c) => (c.hitsMax - c.hits > most.hitsMax - most.hits ? c : most)));
+        }
+    }
+
+    /**
+     * Get the strategy controlling a team
+     * @param {boolean} my - Team flag
+     * @returns {Object|null} Normalized strategy or null for the built-in AI
+     */
+    getStrategy(my) {
+        return my ? this.strategies.player : this.strategies.enemy;
+    }
+
+    /**
+     * Update occupancy map and which creeps stand on their own ramparts (call at start of each tick)
      */
     updateOccupancy() {
         this.occupiedTiles.clear();
@@ -322,6 +497,9 @@ export class CombatEngine {
             if (creep.isAlive()) {
                 const key = `${creep.x},${creep.y}`;
                 this.occupiedTiles.set(key, creep);
+
+                const structure = this.getStructureAt(creep.x, creep.y);
+                creep.rampart = structure?.structureType === STRUCTURE_RAMPART && structure.my === creep.my ? structure : null;
             }
         }
     }
@@ -347,6 +525,77 @@ export class CombatEngine {
         this.creeps.push(creep);
     }
 
+    /**
+     * Get the standing structure on a tile
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {MockStructure|null} Structure or null
+     */
+    getStructureAt(x, y) {
+        const structure = this.structureTiles.get(`${x},${y}`);
+        return structure && structure.isAlive() ? structure : null;
+    }
+
+    /**
+     * Check whether a structure keeps a side's creeps off a tile
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} my - The creeps' side
+     * @returns {boolean} True if blocked
+     */
+    isStructureObstacle(x, y, my) {
+        return Boolean(this.getStructureAt(x, y)?.isObstacleFor(my));
+    }
+
+    /**
+     * Get all standing structures
+     * @param {boolean} my - Filter by owner (true for friendly, false for enemy, null for all)
+     * @returns {MockStructure[]} Array of standing structures
+     */
+    getAliveStructures(my = null) {
+        return this.structures.filter(s => s.isAlive() && (my === null || s.my === my));
+    }
+
+    /**
+     * Cost matrix marking the tiles structures keep a side's creeps off
+     * Built once per side and rebuilt after a structure falls; null when the
+     * battle has no structures.
+     * @param {boolean} my - The creeps' side
+     * @returns {CostMatrix|null} Matrix with IMPASSABLE structure tiles
+     */
+    getStructureMatrix(my) {
+        if (this.structures.length === 0) {
+            return null;
+        }
+
+        const side = my ? 'player' : 'enemy';
+        if (!this.structureMatrices[side]) {
+            const matrix = new CostMatrix(this.terrain.width, this.terrain.height);
+            for (const structure of this.getAliveStructures()) {
+                if (structure.isObstacleFor(my)) {
+                    matrix.set(structure.x, structure.y, IMPASSABLE);
+                }
+            }
+            this.structureMatrices[side] = matrix;
+        }
+
+        return this.structureMatrices[side];
+    }
+
+    /**
+     * Queue a move for a creep, routing around other creeps and the structures in its way
+     * @param {MockCreep} creep - Moving creep
+     * @param {Object} target - Position { x, y }
+     * @param {Object} options - MockCreep.moveTo options ({ range, reusePath, maxOps })
+     * @returns {number} OK or error code
+     */
+    moveCreep(creep, target, options = {}) {
+        return creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep), {
+            ...options,
+            costMatrix: this.getStructureMatrix(creep.my)
+        });
+    }
+
     /**
      * Get all alive creeps
      * @param {boolean} my - Filter by team (true for friendly, false for enemy, null for all)
@@ -362,6 +611,85 @@ export class CombatEngine {
         return creeps;
     }
 
+    /**
+     * Group each side's creeps into a squad in their current formation
+     * Called when a battle starts, after spawn positions are final.
+     */
+    formSquads() {
+        this.squads = [];
+
+        for (const my of [true, false]) {
+            const creeps = this.getAliveCreeps(my);
+            if (creeps.length > 0) {
+                this.squads.push(new Squad(`${my ? 'player' : 'enemy'}_squad`, creeps));
+            }
+        }
+    }
+
+    /**
+     * Get a side's squad
+     * @param {boolean} my - Team flag
+     * @returns {Squad|null} The side's squad, null if it has none
+     */
+    getSquad(my) {
+        return this.squads.find(squad => squad.my === my) || null;
+    }
+
+    /**
+     * Queue one squad step toward a target, replacing the members' own moves
+     * Members ignore each other when checking for blocked tiles: the squad moves
+     * together, so the tile ahead is normally being vacated by a squadmate.
+     * If the squad can't move (a member is fatigued, no path) every member holds.
+     * @param {Squad} squad - Squad to move
+     * @param {Object} target - Position { x, y }
+     * @param {Object} options - Squad.planMove options ({ range, maxOps })
+     * @returns {number} OK or error code
+     */
+    moveSquad(squad, target, options = {}) {
+        const plan = squad.planMove(target, this.terrain, options);
+        const members = new Set(squad.getMembers().map(member => member.creep));
+
+        for (const creep of members) {
+            creep.cancelMove();
+        }
+
+        const isBlocked = (x, y) => {
+            const occupant = this.occupiedTiles.get(`${x},${y}`);
+            return Boolean(occupant) && occupant.isAlive() && !members.has(occupant);
+        };
+
+        for (const move of plan.moves) {
+            move.creep.moveTo(move, this.terrain, isBlocked, {
+                range: move.range,
+                costMatrix: this.getStructureMatrix(squad.my)
+            });
+        }
+
+        return plan.code;
+    }
+
+    /**
+     * Built-in squad behavior: advance in formation on the nearest enemy, and
+     * leave the fighting (and its movement) to runSimpleAI once in contact
+     * @param {Squad} squad - Squad to steer
+     */
+    runSquadAI(squad) {
+        const members = squad.getMembers().map(member => member.creep);
+        const enemies = this.getAliveCreeps(!squad.my);
+        const leader = squad.getLeader();
+
+        if (!leader || enemies.length === 0) {
+            return;
+        }
+
+        const engaged = members.some(creep => enemies.some(enemy => creep.getRangeTo(enemy) <= SQUAD_ENGAGE_RANGE));
+        if (engaged) {
+            return;
+        }
+
+        this.moveSquad(squad, this.findNearestEnemy(leader.creep), { range: SQUAD_ENGAGE_RANGE });
+    }
+
     /**
      * Find nearest enemy to a creep
      * @param {MockCreep} creep - Reference creep
@@ -419,11 +747,11 @@ export class CombatEngine {
 
     /**
      * Run improved AI behavior for a creep
+     * Actions are only issued here; what actually executes is decided when the
+     * tick resolves (see MockCreep.resolveActions).
      * @param {MockCreep} creep - Creep to control
-     * @returns {Array} Actions performed this tick
      */
     runSimpleAI(creep) {
-        const actions = [];
         // Healers heal damaged friendlies
         if (creep.getActiveBodyParts('heal') > 0) {
             const damaged = this.findMostDamagedFriendly(creep);
@@ -433,26 +761,16 @@ export class CombatEngine {
 
                 if (range <= 1) {
                     creep.heal(damaged);
-                    actions.push({
-                        type: 'heal',
-                        from: { x: creep.x, y: creep.y },
-                        to: { x: damaged.x, y: damaged.y }
-                    });
                 } else if (range <= 3) {
                     creep.rangedHeal(damaged);
-                    actions.push({
-                        type: 'rangedHeal',
-                        from: { x: creep.x, y: creep.y },
-                        to: { x: damaged.x, y: damaged.y }
-                    });
                 }
 
                 // Move closer if not in optimal range
                 if (range > 2) {
-                    creep.moveTo(damaged, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+                    this.moveCreep(creep, damaged);
                 }
 
-                return actions; // Don't attack if healing
+                return; // Don't attack if healing
             }
         }
 
@@ -461,13 +779,12 @@ export class CombatEngine {
         const nearestEnemy = this.findNearestEnemy(creep);
 
         if (!nearestEnemy) {
-            return actions; // No enemies left
+            return; // No enemies left
         }
 
         // Choose target: focus weakest if in range, otherwise nearest
         let target = weakestEnemy;
         const rangeToWeak = target ? creep.getRangeTo(target) : Infinity;
-        const rangeToNearest = creep.getRangeTo(nearestEnemy);
 
         // Switch to nearest if weakest is too far
         if (rangeToWeak > 5) {
@@ -481,12 +798,7 @@ export class CombatEngine {
         // Ranged units: improved kiting with aggression threshold
         if (hasRanged && !hasMelee) {
             if (range <= 3) {
-                creep.rangedAttack(target);
-                actions.push({
-                    type: 'rangedAttack',
-                    from: { x: creep.x, y: creep.y },
-                    to: { x: target.x, y: target.y }
-                });
+                this.performRangedAttack(creep, target);
             }
 
             // Kiting logic: retreat if healthy and enemy close, commit if enemy weak
@@ -496,65 +808,301 @@ export class CombatEngine {
             if (range <= 2 && healthPercent > 0.5) {
                 // Flee from healthy enemies when you're healthy
                 if (enemyHealthPercent > 0.3) {
-                    const fleeX = creep.x + (creep.x - target.x);
-                    const fleeY = creep.y + (creep.y - target.y);
-                    creep.moveTo({ x: fleeX, y: fleeY }, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+                    // Back off from every enemy close enough to matter, not just the target
+                    const threats = this.getAliveCreeps(!creep.my).filter(enemy => creep.getRangeTo(enemy) <= RANGED_ATTACK_RANGE + 2);
+                    const escape = this.findFleePath(creep, threats).path[0];
+                    if (escape) {
+                        this.moveCreep(creep, escape);
+                    }
                 } else {
                     // Commit to finish weak enemies
-                    creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+                    this.moveCreep(creep, target);
                 }
             } else if (range > 3) {
                 // Close distance if too far
-                creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+                this.moveCreep(creep, target);
             }
             // Stay at range 3 for optimal kiting (no movement)
         }
         // Melee units: close distance and attack
-        else if (hasMelee) {
+        else if (hasMelee && !hasRanged) {
             if (range <= 1) {
                 creep.attack(target);
-                actions.push({
-                    type: 'attack',
-                    from: { x: creep.x, y: creep.y },
-                    to: { x: target.x, y: target.y }
-                });
             } else {
-                creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep));
-
-                // Attack if we moved adjacent
-                if (creep.getRangeTo(target) <= 1) {
-                    creep.attack(target);
-                    actions.push({
-                        type: 'attack',
-                        from: { x: creep.x, y: creep.y },
-                        to: { x: target.x, y: target.y }
-                    });
-                }
+                this.moveCreep(creep, target);
             }
         }
-        // Hybrid units: use ranged at distance, melee when close
+        // Hybrid units: attack and rangedAttack sit in different pipelines, so use both
         else if (hasRanged && hasMelee) {
             if (range <= 1) {
                 creep.attack(target);
-                actions.push({
-                    type: 'attack',
-                    from: { x: creep.x, y: creep.y },
-                    to: { x: target.x, y: target.y }
-                });
-            } else if (range <= 3) {
-                creep.rangedAttack(target);
-                actions.push({
-                    type: 'rangedAttack',
-                    from: { x: creep.x, y: creep.y },
-                    to: { x: target.x, y: target.y }
-                });
-                creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+            }
+            if (range <= 3) {
+                this.performRangedAttack(creep, target);
+            }
+            if (range > 1) {
+                this.moveCreep(creep, target);
+            }
+        }
+    }
+
+    /**
+     * Fire at target, switching to rangedMassAttack when several enemies are in reach
+     * @param {MockCreep} creep - Attacking creep
+     * @param {MockCreep} target - Preferred target
+     */
+    performRangedAttack(creep, target) {
+        const enemies = this.getAliveCreeps(!creep.my);
+        const enemiesInRange = enemies.filter(enemy => creep.getRangeTo(enemy) <= RANGED_ATTACK_RANGE);
+
+        // Mass attack always matches a single shot on the target and adds splash on the rest
+        if (enemiesInRange.length > 1) {
+            creep.rangedMassAttack([...enemies, ...this.getAliveStructures(!creep.my)]);
+        } else {
+            creep.rangedAttack(target);
+        }
+    }
+
+    /**
+     * Search for a path on this battle's terrain (creeps are ignored unless passed as obstacles)
+     * @param {Object} origin - Start position { x, y }
+     * @param {Object|Object[]} goals - Goal(s), each optionally with a range
+     * @param {Object} options - searchPath options (see core/pathfinder.mjs)
+     * @returns {Object} { path, ops, cost, incomplete }
+     */
+    searchPath(origin, goals, options = {}) {
+        return searchPath(origin, goals, { ...options, terrain: this.terrain });
+    }
+
+    /**
+     * Find the best escape path away from a set of threats
+     * Looks for the closest tile at least `range` away from every threat, routing
+     * around walls, structures and other creeps. If no such tile is reachable the path ends
+     * as far out of reach as the search got and `incomplete` is true.
+     * @param {Object} creep - Fleeing creep (MockCreep or strategy creep view)
+     * @param {Object[]} threats - Threat positions, each optionally with its own `range`
+     * @param {Object} options - { range (default 3), maxOps, ignoreCreeps }
+     * @returns {Object} { path, ops, cost, incomplete }
+     */
+    findFleePath(creep, threats, options = {}) {
+        const range = options.range ?? RANGED_ATTACK_RANGE;
+        const goals = threats.map(threat => ({ pos: threat.pos || threat, range: threat.range ?? range }));
+        const self = this.creeps.find(c => c.id === creep.id) || creep;
+
+        return this.searchPath(creep, goals, {
+            costMatrix: this.getStructureMatrix(self.my),
+            ...options,
+            flee: true,
+            isBlocked: options.ignoreCreeps ? null : (x, y) => this.isOccupied(x, y, self)
+        });
+    }
+
+    /**
+     * Collect intents from each team's strategy, grouped per side by creep id
+     * squadMove intents are grouped under the id of the side's own squad.
+     * A side can only command its own creeps, squad and towers: intents for
+     * anything else are dropped like any other invalid intent.
+     * @returns {Object} { player, enemy }: Map of creep, squad or tower id -> intents
+     */
+    collectStrategyIntents() {
+        const intentsBySide = { player: new Map(), enemy: new Map() };
+
+        for (const my of [true, false]) {
+            const strategy = this.getStrategy(my);
+            if (!strategy) {
+                continue;
+            }
+
+            const intentsByCreep = intentsBySide[my ? 'player' : 'enemy'];
+
+            const ownIds = new Set([
+                ...this.getAliveCreeps(my).map(creep => creep.id),
+                ...this.getAliveStructures(my).map(structure => structure.id)
+            ]);
+
+            const intents = strategy.tick(createWorldView(this, my)) || [];
+            for (const intent of intents) {
+                if (!intent || !INTENT_TYPES.includes(intent.type)) {
+                    continue;
+                }
+
+                let creepId = typeof intent.creep === 'object' ? intent.creep?.id : intent.creep;
+                if (intent.type === 'squadMove') {
+                    // A side can only steer its own squad
+                    const squadId = this.getSquad(my)?.id;
+                    if (!squadId || (intent.squad && intent.squad !== squadId)) {
+                        continue;
+                    }
+                    creepId = squadId;
+                } else if (!ownIds.has(creepId)) {
+                    continue;
+                }
+
+                if (!intentsByCreep.has(creepId)) {
+                    intentsByCreep.set(creepId, []);
+                }
+                intentsByCreep.get(creepId).push(intent);
+            }
+        }
+
+        return intentsBySide;
+    }
+
+    /**
+     * Resolve an intent target to a creep or structure (or a position for moves)
+     * @param {string|Object} target - Creep or structure id, object with an id, or { x, y }
+     * @returns {Object|null} Resolved target
+     */
+    resolveIntentTarget(target) {
+        if (!target) {
+            return null;
+        }
+
+        const id = typeof target === 'string' ? target : target.id;
+        if (id !== undefined) {
+            return this.creeps.find(c => c.id === id) || this.structures.find(s => s.id === id) || null;
+        }
+
+        return typeof target.x === 'number' && typeof target.y === 'number' ? target : null;
+    }
+
+    /**
+     * Issue strategy intents for one creep
+     * @param {MockCreep} creep - Creep the intents belong to
+     * @param {Object[]} intents - Intents issued for this creep
+     */
+    applyStrategyIntents(creep, intents) {
+        for (const intent of intents) {
+            if (intent.type === 'rangedMassAttack') {
+                creep.rangedMassAttack([...this.getAliveCreeps(!creep.my), ...this.getAliveStructures(!creep.my)]);
+                continue;
+            }
+
+            const target = this.resolveIntentTarget(intent.target);
+            if (!target) {
+                continue;
+            }
+
+            if (intent.type === 'move') {
+                this.moveCreep(creep, target);
             } else {
-                creep.moveTo(target, this.terrain, (x, y) => this.isOccupied(x, y, creep));
+                creep[intent.type](target);
+            }
+        }
+    }
+
+    /**
+     * Issue strategy intents for one tower (only attack and heal apply)
+     * @param {StructureTower} tower - Tower the intents belong to
+     * @param {Object[]} intents - Intents issued for this tower
+     */
+    applyTowerIntents(tower, intents) {
+        for (const intent of intents) {
+            if (intent.type !== 'attack' && intent.type !== 'heal') {
+                continue;
+            }
+
+            const target = this.resolveIntentTarget(intent.target);
+            if (target) {
+                tower[intent.type](target);
+            }
+        }
+    }
+
+    /**
+     * Describe an executed action for the recording
+     * @param {MockCreep|StructureTower} creep - Acting creep or tower
+     * @param {Object} action - Executed action from resolveActions
+     * @returns {Object} Action record
+     */
+    describeAction(creep, action) {
+        const from = { x: creep.x, y: creep.y };
+
+        if (action.type === 'rangedMassAttack') {
+            return {
+                type: action.type,
+                from,
+                targets: action.targets.map(target => ({ x: target.x, y: target.y }))
+            };
+        }
+
+        return {
+            type: action.type,
+            from,
+            to: { x: action.target.x, y: action.target.y }
+        };
+    }
+
+    /**
+     * Resolve all queued moves at once
+     * Creeps contesting the same tile are settled by a seeded coin flip rather than
+     * array order. A move into a tile held by another creep only succeeds if that
+     * creep moves away this tick (chains and swaps included). Moves onto walls,
+     * towers and hostile ramparts are dropped.
+     * @param {MockCreep[]} creeps - Creeps that acted this tick
+     */
+    resolveMovement(creeps) {
+        const contenders = new Map(); // "x,y" -> creeps wanting that tile
+        const occupants = new Map(); // "x,y" -> creep standing there at tick start
+
+        for (const creep of creeps) {
+            occupants.set(`${creep.x},${creep.y}`, creep);
+
+            if (!creep.moveIntent) {
+                continue;
+            }
+
+            if (this.isStructureObstacle(creep.moveIntent.x, creep.moveIntent.y, creep.my)) {
+                creep.cancelMove();
+                continue;
             }
+
+            const key = `${creep.moveIntent.x},${creep.moveIntent.y}`;
+            if (!contenders.has(key)) {
+                contenders.set(key, []);
+            }
+            contenders.get(key).push(creep);
         }
 
-        return actions;
+        // One winner per destination tile
+        const movers = new Set();
+        for (const candidates of contenders.values()) {
+            candidates.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+            const winner = candidates[this.randomInt(0, candidates.length - 1)];
+
+            for (const creep of candidates) {
+                if (creep === winner) {
+                    movers.add(creep);
+                } else {
+                    creep.cancelMove();
+                }
+            }
+        }
+
+        // A winner is blocked if the creep standing on its destination stays put
+        const status = new Map(); // creep -> 'pending' | true | false
+        const canMove = (creep) => {
+            if (status.has(creep)) {
+                // Reaching a pending creep means a cycle: everyone in it rotates
+                return status.get(creep) === 'pending' ? true : status.get(creep);
+            }
+
+            status.set(creep, 'pending');
+            const occupant = occupants.get(`${creep.moveIntent.x},${creep.moveIntent.y}`);
+            const result = !occupant || occupant === creep || (movers.has(occupant) && canMove(occupant));
+            status.set(creep, result);
+            return result;
+        };
+
+        const resolved = [...movers].map(creep => [creep, canMove(creep)]);
+
+        for (const [creep, allowed] of resolved) {
+            if (allowed) {
+                creep.commitMove(this.terrain);
+            } else {
+                creep.cancelMove();
+            }
+        }
     }
 
     /**
@@ -571,23 +1119,74 @@ export class CombatEngine {
             }
         }
 
+        const towers = this.getAliveStructures().filter(structure => structure instanceof StructureTower);
+        for (const tower of towers) {
+            tower.reduceCooldown();
+        }
+
         // Update occupancy map before movement
         this.updateOccupancy();
 
-        // Run AI for all alive creeps and collect actions
+        // Strategies see the world as it stands at the start of the tick
+        const strategyIntents = this.collectStrategyIntents();
+
+        // Intent phase: every creep alive at the start of the tick decides against
+        // the same world state. Damage, healing and moves are only queued here.
         const aliveCreeps = this.getAliveCreeps();
         const allActions = [];
 
         for (const creep of aliveCreeps) {
-            const actions = this.runSimpleAI(creep);
-            if (actions && actions.length > 0) {
-                allActions.push(...actions);
+            if (this.getStrategy(creep.my)) {
+                this.applyStrategyIntents(creep, strategyIntents[creep.my ? 'player' : 'enemy'].get(creep.id) || []);
+            } else {
+                this.runBuiltInAI(creep);
+            }
+        }
+
+        // Squad moves replace the moves their members queued above
+        for (const squad of this.squads) {
+            if (this.getStrategy(squad.my)) {
+                const intent = (strategyIntents[squad.my ? 'player' : 'enemy'].get(squad.id) || []).at(-1);
+                const target = intent ? this.resolveIntentTarget(intent.target) : null;
+                if (target) {
+                    this.moveSquad(squad, target, { range: intent.range });
+                }
+            } else if (this.squadMovement[squad.my ? 'player' : 'enemy']) {
+                this.runSquadAI(squad);
+            }
+        }
+
+        // Towers are steered like their side's creeps, only by their own side's strategy
+        for (const tower of towers) {
+            if (this.getStrategy(tower.my)) {
+                this.applyTowerIntents(tower, strategyIntents[tower.my ? 'player' : 'enemy'].get(tower.id) || []);
+            } else {
+                this.runTowerAI(tower);
+            }
+        }
+
+        // Resolution phase: each creep's actions go through the priority pipelines,
+        // moves are resolved jointly, then damage and healing land together
+        for (const actor of [...aliveCreeps, ...towers]) {
+            for (const action of actor.resolveActions()) {
+                allActions.push(this.describeAction(actor, action));
+            }
+        }
+
+        this.resolveMovement(aliveCreeps);
+
+        for (const creep of aliveCreeps) {
+            creep.applyPendingEffects();
+        }
+
+        for (const structure of this.getAliveStructures()) {
+            structure.applyPendingEffects();
+            if (!structure.isAlive()) {
+                // Its tile opens up: paths are replanned with the next matrices
+                this.structureMatrices = { player: null, enemy: null };
             }
-            // Update occupancy immediately after each creep acts to prevent stacking
-            this.updateOccupancy();
         }
 
-        // Final occupancy update (redundant but ensures consistency)
         this.updateOccupancy();
 
         // Record frame if recording is enabled
@@ -613,6 +1212,14 @@ export class CombatEngine {
      */
     runBattle() {
         this.tick = 0;
+        this.formSquads();
+
+        for (const my of [true, false]) {
+            const strategy = this.getStrategy(my);
+            if (strategy?.init) {
+                strategy.init(createWorldView(this, my));
+            }
+        }
 
         while (this.executeTick()) {
             // Battle continues
@@ -641,7 +1248,7 @@ export class CombatEngine {
         const friendlyStats = allCreeps.filter(c => c.my);
         const enemyStats = allCreeps.filter(c => !c.my);
 
-        return {
+        const results = {
             winner,
             ticks: this.tick,
             player: {
@@ -657,6 +1264,14 @@ export class CombatEngine {
                 creeps: enemyStats.map(c => c.getStats())
             }
         };
+
+        // Owned structures are reported only for battles that have any
+        if (this.structures.length > 0) {
+            results.player.structures = this.structures.filter(s => s.my === true).map(s => s.getStats());
+            results.enemy.structures = this.structures.filter(s => s.my === false).map(s => s.getStats());
+        }
+
+        return results;
     }
 
     /**
@@ -664,9 +1279,9 @@ export class CombatEngine {
      * @param {Array} actions - Actions performed this tick
      */
     recordFrame(actions) {
-        // Initialize terrain on first frame
+        // Initialize terrain on first frame (ASCII, so the battle can be re-run on the same ground)
         if (this.recording.frames.length === 0 && this.terrain) {
-            this.recording.terrain = this.terrain.toGrid();
+            this.recording.terrain = this.terrain.toAscii();
         }
 
         // Record only alive creep states (dead creeps disappear in Screeps Arena)
@@ -687,11 +1302,32 @@ export class CombatEngine {
                 fatigue: creep.fatigue
             }));
 
-        this.recording.frames.push({
+        const recordedActions = (actions || [])
+            .filter(action => RECORDED_ACTION_TYPES.has(action.type))
+            .map(action => (action.type === 'rangedMassAttack'
+                ? { type: action.type, from: action.from, range: RANGED_ATTACK_RANGE, targets: action.targets || [] }
+                : { type: action.type, from: action.from, to: action.to }));
+
+        const frame = {
             tick: this.tick,
             creeps: creepStates,
-            actions: actions || []
-        });
+            actions: recordedActions
+        };
+
+        // Standing structures, only in battles that have any
+        if (this.structures.length > 0) {
+            frame.structures = this.getAliveStructures().map(structure => ({
+                id: structure.id,
+                structureType: structure.structureType,
+                x: structure.x,
+                y: structure.y,
+                my: structure.my,
+                hits: structure.hits,
+                hitsMax: structure.hitsMax
+            }));
+        }
+
+        this.recording.frames.push(frame);
     }
 
     /**
@@ -728,17 +1364,24 @@ export class CombatEngine {
     /**
      * Run multiple battles and get aggregate statistics
      * @param {number} iterations - Number of battles to run
-     * @param {Function} setupFunction - Function to setup creeps for each battle
+     * @param {Function} setupFunction - Function to setup creeps for each battle (draw any randomness from engine.randomSource so the battle seed covers it)
      * @returns {Object} Aggregate results
      */
     runMultipleBattles(iterations, setupFunction) {
         const results = [];
 
         for (let i = 0; i < iterations; i++) {
-            const battleContext = this.createBattleContext(i);
+            const battleContext = this.createBattleContext(i, deriveSeed(this.batchRandom));
             this.reset(battleContext);
             const setupResult = setupFunction(this, battleContext) || {};
             this.applySpawnEntropy(battleContext, setupResult);
+
+            // Capture where everyone starts and give combat its own seed, so replayBattle
+            // can rebuild the battle from the context alone
+            battleContext.startPositions = this.creeps.map(c => ({ id: c.id, x: c.x, y: c.y }));
+            battleContext.combatSeed = deriveSeed(this.randomSource);
+            this.randomSource = createRandom(battleContext.combatSeed);
+
             const battleResult = this.runBattle();
             battleResult.context = battleContext;
             results.push(battleResult);
@@ -761,9 +1404,38 @@ export class CombatEngine {
         };
     }
 
-    createBattleContext(iteration) {
+    /**
+     * Re-run a single battle from the context runMultipleBattles stored for it
+     * Terrain mutations and start positions are applied as recorded and combat
+     * uses the recorded combat seed, so the battle plays out as it did originally.
+     * @param {Object} battleContext - Stored battle context
+     * @param {Function} setupFunction - Adds the creeps (e.g. from battleContext.compositions)
+     * @returns {Object} Battle result
+     */
+    replayBattle(battleContext, setupFunction) {
+        this.reset(battleContext, true);
+        setupFunction(this, battleContext);
+
+        for (const position of battleContext.startPositions || []) {
+            const creep = this.creeps.find(c => c.id === position.id);
+            if (creep) {
+                creep.x = position.x;
+                creep.y = position.y;
+            }
+        }
+        this.updateOccupancy();
+
+        this.randomSource = createRandom(battleContext.combatSeed ?? battleContext.seed ?? 0);
+
+        const battleResult = this.runBattle();
+        battleResult.context = battleContext;
+        return battleResult;
+    }
+
+    createBattleContext(iteration, seed = null) {
         return {
             iteration,
+            seed,
             terrainMutations: null,
             spawnOffsets: null,
             perUnitJitter: null
@@ -1153,6 +1825,12 @@ export class CombatEngine {
             return false;
         }
 
+        // Creeps may start on ramparts, but not on towers or walls
+        const structure = this.getStructureAt(x, y);
+        if (structure && structure.structureType !== STRUCTURE_RAMPART) {
+            return false;
+        }
+
         const key = `${x},${y}`;
         return !occupied.has(key);
     }
@@ -50,12 +50,54 @@ export const FATIGUE_COST_PLAIN = 2;               // Fatigue generated per move
 export const FATIGUE_COST_SWAMP = 10;              // Fatigue generated per move on swamp
 export const MOVE_POWER = 2;                       // Fatigue reduced per MOVE part per tick
 
+// Boosts: compound -> effect multipliers per boosted body part
+// TOUGH `damage` is the fraction of damage the part still takes
+export const BOOSTS = {
+    [ATTACK]: {
+        UH: { attack: 2 },
+        UH2O: { attack: 3 },
+        XUH2O: { attack: 4 }
+    },
+    [RANGED_ATTACK]: {
+        KO: { rangedAttack: 2, rangedMassAttack: 2 },
+        KHO2: { rangedAttack: 3, rangedMassAttack: 3 },
+        XKHO2: { rangedAttack: 4, rangedMassAttack: 4 }
+    },
+    [HEAL]: {
+        LO: { heal: 2, rangedHeal: 2 },
+        LHO2: { heal: 3, rangedHeal: 3 },
+        XLHO2: { heal: 4, rangedHeal: 4 }
+    },
+    [TOUGH]: {
+        GO: { damage: 0.7 },
+        GHO2: { damage: 0.5 },
+        XGHO2: { damage: 0.3 }
+    },
+    [MOVE]: {
+        ZO: { fatigue: 2 },
+        ZHO2: { fatigue: 3 },
+        XZHO2: { fatigue: 4 }
+    }
+};
+
 // Spawning
 export const CREEP_SPAWN_TIME = 3;                 // Ticks per body part to spawn
 export const SPAWN_ENERGY_CAPACITY = 1000;
 export const EXTENSION_ENERGY_CAPACITY = 100;
 
-// Tower (for future expansion)
+// Structures
+export const STRUCTURE_TOWER = 'tower';
+export const STRUCTURE_RAMPART = 'rampart';
+export const STRUCTURE_WALL = 'constructedWall';
+export const RESOURCE_ENERGY = 'energy';
+
+export const TOWER_HITS = 3000;
+export const RAMPART_HITS_MAX = 10000;
+export const WALL_HITS_MAX = 10000;
+
+// Tower
+export const TOWER_CAPACITY = 50;                  // Energy a tower holds
+export const TOWER_ENERGY_COST = 10;               // Energy spent per attack or heal
 export const TOWER_POWER_ATTACK = 150;
 export const TOWER_POWER_HEAL = 100;
 export const TOWER_RANGE = 50;
@@ -66,8 +108,16 @@ export const TOWER_COOLDOWN = 10;
 
 // Error Codes
 export const OK = 0;
-export const ERR_NOT_IN_RANGE = -9;
+export const ERR_NOT_OWNER = -1;
+export const ERR_NO_PATH = -2;
+export const ERR_BUSY = -4;
+export const ERR_NOT_FOUND = -5;
+export const ERR_NOT_ENOUGH_ENERGY = -6;
 export const ERR_INVALID_TARGET = -7;
+export const ERR_FULL = -8;
+export const ERR_NOT_IN_RANGE = -9;
+export const ERR_INVALID_ARGS = -10;
+export const ERR_TIRED = -11;
 export const ERR_NO_BODYPART = -12;
 
 // Range Constants
@@ -5,10 +5,98 @@
 import {
     ATTACK, RANGED_ATTACK, HEAL, MOVE, TOUGH, CARRY, WORK,
     ATTACK_POWER, RANGED_ATTACK_POWER, HEAL_POWER, RANGED_HEAL_POWER,
-    RANGED_ATTACK_DISTANCE_RATE, BODYPART_HITS,
-    OK, ERR_NOT_IN_RANGE, ERR_INVALID_TARGET, ERR_NO_BODYPART,
+    RANGED_ATTACK_DISTANCE_RATE, BODYPART_HITS, MOVE_POWER, BOOSTS,
+    OK, ERR_NOT_IN_RANGE, ERR_INVALID_TARGET, ERR_NO_BODYPART, ERR_TIRED, ERR_NO_PATH,
     ATTACK_RANGE, RANGED_ATTACK_RANGE, HEAL_RANGE, RANGED_HEAL_RANGE
 } from './constants.mjs';
+import { findPath } from './pathfinder.mjs';
+import { Terrain } from './terrain.mjs';
+
+// Ticks a planned path is followed before re-planning (mirrors the game's moveTo default)
+const DEFAULT_REUSE_PATH = 5;
+
+let defaultTerrain = null;
+
+/**
+ * Open terrain used when moveTo is called without a map
+ * @returns {Terrain} Shared default terrain
+ */
+function getDefaultTerrain() {
+    if (!defaultTerrain) {
+        defaultTerrain = new Terrain();
+    }
+    return defaultTerrain;
+}
+
+/**
+ * Check the preconditions shared by every targeted action
+ * Works on MockCreep instances and on read-only creep views alike.
+ * @param {Object} creep - Acting creep (needs x, y and getActiveBodyParts)
+ * @param {Object} target - Target with x, y and hits
+ * @param {string} partType - Body part the action requires
+ * @param {number} maxRange - Maximum range for the action
+ * @returns {number} OK or error code
+ */
+export function validateAction(creep, target, partType, maxRange) {
+    if (!target || !(target.hits > 0)) {
+        return ERR_INVALID_TARGET;
+    }
+
+    const range = Math.max(Math.abs(creep.x - target.x), Math.abs(creep.y - target.y));
+    if (range > maxRange) {
+        return ERR_NOT_IN_RANGE;
+    }
+
+    if (creep.getActiveBodyParts(partType) === 0) {
+        return ERR_NO_BODYPART;
+    }
+
+    return OK;
+}
+
+/**
+ * Normalize a body part definition
+ * Parts are plain type strings or { type, boost } objects for boosted parts.
+ * @param {string|Object} part - Body part definition
+ * @returns {Object} { type, boost } with boost null when unboosted
+ */
+export function normalizeBodyPart(part) {
+    if (typeof part === 'string') {
+        return { type: part, boost: null };
+    }
+
+    const boost = part.boost || null;
+    if (boost && !BOOSTS[part.type]?.[boost]) {
+        throw new Error(`Invalid boost "${boost}" for ${part.type} part`);
+    }
+
+    return { type: part.type, boost };
+}
+
+/**
+ * Get the type of a body part definition
+ * @param {string|Object} part - Body part definition
+ * @returns {string} Body part type
+ */
+export function getBodyPartType(part) {
+    return typeof part === 'string' ? part : part.type;
+}
+
+/**
+ * Per-tick action pipelines, as in the game's intent processor
+ * Each action lists the actions that override it when registered in the same tick:
+ *   attack -> rangedHeal -> heal          (melee pipeline)
+ *   rangedAttack -> rangedMassAttack -> rangedHeal   (ranged pipeline)
+ * Actions in different pipelines (e.g. attack + rangedAttack, heal + rangedAttack)
+ * execute together. Keys are in execution order.
+ */
+export const ACTION_PRIORITIES = {
+    attack: ['rangedHeal', 'heal'],
+    rangedAttack: ['rangedMassAttack', 'rangedHeal'],
+    rangedMassAttack: ['rangedHeal'],
+    rangedHeal: ['heal'],
+    heal: []
+};
 
 export class MockCreep {
     /**
@@ -16,20 +104,22 @@ export class MockCreep {
      * @param {string} id - Unique identifier
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
-     * @param {string[]} bodyArray - Array of body part types
+     * @param {Array<string|Object>} bodyArray - Body part types, or { type, boost } for boosted parts
      * @param {boolean} my - Whether this is a friendly creep
      * @param {string} name - Creep name (optional)
+     * @param {string} role - Squad role, e.g. 'Ranger' (optional; selects behavior tree tactics)
      */
-    constructor(id, x, y, bodyArray, my = true, name = null) {
+    constructor(id, x, y, bodyArray, my = true, name = null, role = null) {
         this.id = id;
         this.x = x;
         this.y = y;
         this.my = my;
         this.name = name || id;
+        this.role = role;
 
-        // Body parts: array of { type, hits }
-        this.body = bodyArray.map(type => ({
-            type,
+        // Body parts: array of { type, hits, boost }
+        this.body = bodyArray.map(definition => ({
+            ...normalizeBodyPart(definition),
             hits: BODYPART_HITS
         }));
 
@@ -43,12 +133,25 @@ export class MockCreep {
 
         // Movement
         this.fatigue = 0;
+        this.moveIntent = null;
+        this.pathCache = null;
+
+        // Actions registered this tick (action name -> intent)
+        this.intents = {};
+
+        // Effects queued during the current tick
+        this.pendingDamage = 0;
+        this.pendingHealing = 0;
+
+        // Own rampart this creep stands on (set by the engine each tick)
+        this.rampart = null;
 
         // Combat tracking
         this.damageTaken = 0;
         this.damageDealt = 0;
         this.healingDone = 0;
         this.healingReceived = 0;
+        this.overriddenActions = 0;
     }
 
     /**
@@ -80,11 +183,90 @@ export class MockCreep {
         return this.body.filter(part => part.type === type && part.hits > 0).length;
     }
 
+    /**
+     * Sum an action's power over functional parts, applying boosts
+     * @param {string} type - Body part type
+     * @param {string} effect - Boost effect key (e.g. 'attack', 'rangedHeal', 'fatigue')
+     * @param {number} basePower - Power of one unboosted part
+     * @returns {number} Total power
+     */
+    getBoostedPower(type, effect, basePower) {
+        return this.body.reduce((sum, part) => {
+            if (part.type !== type || part.hits <= 0) {
+                return sum;
+            }
+            const multiplier = part.boost ? (BOOSTS[type][part.boost][effect] ?? 1) : 1;
+            return sum + basePower * multiplier;
+        }, 0);
+    }
+
+    /**
+     * Reduce incoming damage by boosted TOUGH parts
+     * Walks the body front to back like damage does; each boosted TOUGH part
+     * soaks damage at its boost ratio until its hits run out.
+     * @param {number} damage - Raw damage
+     * @returns {number} Damage after reduction
+     */
+    reduceDamage(damage) {
+        let damageReduce = 0;
+        let damageEffective = damage;
+
+        for (const part of this.body) {
+            if (damageEffective <= 0) {
+                break;
+            }
+
+            if (part.type === TOUGH && part.boost && part.hits > 0) {
+                const ratio = BOOSTS[TOUGH][part.boost].damage;
+                const absorbed = Math.min(damageEffective, part.hits / ratio);
+                damageReduce += absorbed * (1 - ratio);
+                damageEffective -= absorbed;
+            } else {
+                damageEffective -= Math.min(damageEffective, part.hits);
+            }
+        }
+
+        return damage - Math.round(damageReduce);
+    }
+
+    /**
+     * Raw damage it takes to kill this creep
+     * Boosted TOUGH parts count for the damage they soak, not their hits.
+     * @returns {number} Effective hits
+     */
+    getEffectiveHits() {
+        return this.body.reduce((sum, part) => {
+            if (part.type === TOUGH && part.boost && part.hits > 0) {
+                return sum + part.hits / BOOSTS[TOUGH][part.boost].damage;
+            }
+            return sum + part.hits;
+        }, 0);
+    }
+
     /**
      * Apply damage to creep (damages body parts from front to back)
-     * @param {number} damage - Amount of damage to apply
+     * @param {number} damage - Amount of raw damage to apply
      */
     applyDamage(damage) {
+        const effective = this.reduceDamage(damage);
+        this.distributeDamage(effective);
+        this.damageTaken += effective;
+    }
+
+    /**
+     * Apply healing to creep (heals body parts from front to back)
+     * @param {number} healing - Amount of healing to apply
+     */
+    applyHealing(healing) {
+        this.distributeHealing(healing);
+        this.healingReceived += healing;
+    }
+
+    /**
+     * Remove hits from body parts front to back
+     * @param {number} damage - Amount of damage to distribute
+     */
+    distributeDamage(damage) {
         let remainingDamage = damage;
 
         for (let i = 0; i < this.body.length && remainingDamage > 0; i++) {
@@ -99,14 +281,13 @@ export class MockCreep {
 
         // Update total hits
         this.hits = this.body.reduce((sum, part) => sum + part.hits, 0);
-        this.damageTaken += damage;
     }
 
     /**
-     * Apply healing to creep (heals body parts from front to back)
-     * @param {number} healing - Amount of healing to apply
+     * Restore hits to body parts front to back
+     * @param {number} healing - Amount of healing to distribute
      */
-    applyHealing(healing) {
+    distributeHealing(healing) {
         let remainingHealing = healing;
 
         for (let i = 0; i < this.body.length && remainingHealing > 0; i++) {
@@ -121,6 +302,52 @@ export class MockCreep {
 
         // Update total hits
         this.hits = this.body.reduce((sum, part) => sum + part.hits, 0);
+    }
+
+    /**
+     * Queue damage to be applied at the end of the tick
+     * Boosted TOUGH reduction is worked out against the start-of-tick body.
+     * A creep on its own rampart is untouched: the rampart takes the damage.
+     * @param {number} damage - Amount of raw damage
+     * @returns {number} Damage after reduction
+     */
+    queueDamage(damage) {
+        if (this.rampart?.isAlive()) {
+            return this.rampart.queueDamage(damage);
+        }
+
+        const effective = this.reduceDamage(damage);
+        this.pendingDamage += effective;
+        return effective;
+    }
+
+    /**
+     * Queue healing to be applied at the end of the tick
+     * @param {number} healing - Amount of healing
+     */
+    queueHealing(healing) {
+        this.pendingHealing += healing;
+    }
+
+    /**
+     * Apply all damage and healing queued this tick at once
+     * Like the real game, damage and healing are netted before touching the body,
+     * so a creep healed for as much as it is hit survives the tick.
+     */
+    applyPendingEffects() {
+        const damage = this.pendingDamage;
+        const healing = this.pendingHealing;
+        this.pendingDamage = 0;
+        this.pendingHealing = 0;
+
+        const net = damage - healing;
+        if (net > 0) {
+            this.distributeDamage(net);
+        } else if (net < 0) {
+            this.distributeHealing(-net);
+        }
+
+        this.damageTaken += damage;
         this.healingReceived += healing;
     }
 
@@ -134,86 +361,48 @@ export class MockCreep {
 
     /**
      * Melee attack target
-     * @param {MockCreep} target - Target creep
+     * @param {MockCreep|MockStructure} target - Target creep or structure
      * @returns {number} OK or error code
      */
     attack(target) {
-        if (!target || !target.isAlive()) {
-            return ERR_INVALID_TARGET;
-        }
-
-        const range = this.getRangeTo(target);
-        if (range > ATTACK_RANGE) {
-            return ERR_NOT_IN_RANGE;
-        }
-
-        const attackParts = this.getActiveBodyParts(ATTACK);
-        if (attackParts === 0) {
-            return ERR_NO_BODYPART;
-        }
-
-        const damage = attackParts * ATTACK_POWER;
-        target.applyDamage(damage);
-        this.damageDealt += damage;
-
-        return OK;
+        return this.registerAction('attack', target, ATTACK, ATTACK_RANGE);
     }
 
     /**
      * Ranged attack target
-     * @param {MockCreep} target - Target creep
+     * @param {MockCreep|MockStructure} target - Target creep or structure
      * @returns {number} OK or error code
      */
     rangedAttack(target) {
-        if (!target || !target.isAlive()) {
-            return ERR_INVALID_TARGET;
-        }
-
-        const range = this.getRangeTo(target);
-        if (range > RANGED_ATTACK_RANGE) {
-            return ERR_NOT_IN_RANGE;
-        }
+        return this.registerAction('rangedAttack', target, RANGED_ATTACK, RANGED_ATTACK_RANGE);
+    }
 
-        const rangedParts = this.getActiveBodyParts(RANGED_ATTACK);
-        if (rangedParts === 0) {
+    /**
+     * Ranged mass attack: hits every hostile creep and owned structure within range 3
+     * Damage per part falls off with range: 10 at range 0-1, 4 at range 2, 1 at range 3.
+     * Unowned structures (constructed walls) are not hit.
+     * @param {Object[]} targets - Creeps and structures on the field (hostiles in range are picked out)
+     * @returns {number} OK or error code
+     */
+    rangedMassAttack(targets = []) {
+        if (this.getActiveBodyParts(RANGED_ATTACK) === 0) {
             return ERR_NO_BODYPART;
         }
 
-        // Apply distance falloff
-        const falloffMultiplier = RANGED_ATTACK_DISTANCE_RATE[range] || 0;
-        const damage = rangedParts * RANGED_ATTACK_POWER * falloffMultiplier;
-
-        target.applyDamage(damage);
-        this.damageDealt += damage;
-
+        this.intents.rangedMassAttack = { targets };
         return OK;
     }
 
     /**
-     * Heal target (close range)
+     * Heal adjacent target
      * @param {MockCreep} target - Target creep
      * @returns {number} OK or error code
      */
     heal(target) {
-        if (!target || !target.isAlive()) {
+        if (target?.structureType) {
             return ERR_INVALID_TARGET;
         }
-
-        const range = this.getRangeTo(target);
-        if (range > HEAL_RANGE) {
-            return ERR_NOT_IN_RANGE;
-        }
-
-        const healParts = this.getActiveBodyParts(HEAL);
-        if (healParts === 0) {
-            return ERR_NO_BODYPART;
-        }
-
-        const healing = healParts * HEAL_POWER;
-        target.applyHealing(healing);
-        this.healingDone += healing;
-
-        return OK;
+        return this.registerAction('heal', target, HEAL, HEAL_RANGE);
     }
 
     /**
@@ -222,117 +411,239 @@ export class MockCreep {
      * @returns {number} OK or error code
      */
     rangedHeal(target) {
-        if (!target || !target.isAlive()) {
+        if (target?.structureType) {
             return ERR_INVALID_TARGET;
         }
+        return this.registerAction('rangedHeal', target, HEAL, RANGED_HEAL_RANGE);
+    }
 
-        const range = this.getRangeTo(target);
-        if (range > RANGED_HEAL_RANGE) {
-            return ERR_NOT_IN_RANGE;
+    /**
+     * Validate and record a targeted action for this tick
+     * Like the game, calling the same action twice keeps only the last call, and
+     * a valid call returns OK even if a higher-priority action later overrides it.
+     * @param {string} type - Action name
+     * @param {MockCreep} target - Target creep
+     * @param {string} partType - Body part the action requires
+     * @param {number} maxRange - Maximum range
+     * @returns {number} OK or error code
+     */
+    registerAction(type, target, partType, maxRange) {
+        const result = validateAction(this, target, partType, maxRange);
+        if (result === OK) {
+            this.intents[type] = { target };
         }
+        return result;
+    }
 
-        const healParts = this.getActiveBodyParts(HEAL);
-        if (healParts === 0) {
-            return ERR_NO_BODYPART;
+    /**
+     * Get the actions this creep has registered this tick
+     * @returns {string[]} Action names
+     */
+    getRegisteredActions() {
+        return Object.keys(this.intents);
+    }
+
+    /**
+     * Execute this tick's actions through the game's priority pipelines
+     * An action is dropped when any action that outranks it was also registered
+     * (see ACTION_PRIORITIES). Damage and healing are queued on the targets and
+     * land when the engine applies pending effects.
+     * @returns {Object[]} Executed actions: { type, target } or { type, targets }
+     */
+    resolveActions() {
+        const executed = [];
+        const registered = this.intents;
+        this.intents = {};
+
+        for (const type of Object.keys(ACTION_PRIORITIES)) {
+            const intent = registered[type];
+            if (!intent) {
+                continue;
+            }
+
+            if (ACTION_PRIORITIES[type].some(other => registered[other])) {
+                this.overriddenActions++;
+                continue;
+            }
+
+            executed.push(this.executeAction(type, intent));
         }
 
-        const healing = healParts * RANGED_HEAL_POWER;
-        target.applyHealing(healing);
-        this.healingDone += healing;
+        return executed;
+    }
 
-        return OK;
+    /**
+     * Apply one action that survived priority resolution
+     * @param {string} type - Action name
+     * @param {Object} intent - Registered intent
+     * @returns {Object} Executed action record
+     */
+    executeAction(type, intent) {
+        const { target } = intent;
+
+        switch (type) {
+            case 'attack': {
+                const damage = this.getBoostedPower(ATTACK, 'attack', ATTACK_POWER);
+                this.damageDealt += target.queueDamage(damage);
+                return { type, target };
+            }
+            case 'rangedAttack': {
+                // Apply distance falloff
+                const falloffMultiplier = RANGED_ATTACK_DISTANCE_RATE[this.getRangeTo(target)] || 0;
+                const damage = this.getBoostedPower(RANGED_ATTACK, 'rangedAttack', RANGED_ATTACK_POWER) * falloffMultiplier;
+                this.damageDealt += target.queueDamage(damage);
+                return { type, target };
+            }
+            case 'rangedMassAttack': {
+                const power = this.getBoostedPower(RANGED_ATTACK, 'rangedMassAttack', RANGED_ATTACK_POWER);
+                // A creep on its own rampart is hit through the rampart, so each tile takes one hit
+                const receivers = intent.targets
+                    .filter(object => object.my === !this.my && object.isAlive() && this.getRangeTo(object) <= RANGED_ATTACK_RANGE)
+                    .map(object => (object.rampart?.isAlive() ? object.rampart : object));
+                const targets = [...new Set(receivers)];
+
+                for (const object of targets) {
+                    const damage = power * RANGED_ATTACK_DISTANCE_RATE[this.getRangeTo(object)];
+                    this.damageDealt += object.queueDamage(damage);
+                }
+                return { type, targets };
+            }
+            case 'heal': {
+                const healing = this.getBoostedPower(HEAL, 'heal', HEAL_POWER);
+                target.queueHealing(healing);
+                this.healingDone += healing;
+                return { type, target };
+            }
+            case 'rangedHeal': {
+                const healing = this.getBoostedPower(HEAL, 'rangedHeal', RANGED_HEAL_POWER);
+                target.queueHealing(healing);
+                this.healingDone += healing;
+                return { type, target };
+            }
+            default:
+                throw new Error(`Unknown action type: ${type}`);
+        }
     }
 
     /**
-     * Move creep toward target (improved pathfinding)
+     * Queue the next step of a path toward target
+     * Paths come from the A* pathfinder and are reused for up to `reusePath` ticks
+     * while the target stays put. Creeps are ignored when planning; if the next
+     * step is occupied the creep plans a detour around them for this tick.
+     * The engine resolves all queued moves together at the end of the tick.
      * @param {Object} target - Target with x, y coordinates
-     * @param {Object} terrain - Terrain map (optional)
+     * @param {Object} terrain - Terrain map (optional, defaults to an open 50x50 map)
      * @param {Function} collisionCheck - Optional collision checker (x, y) => boolean
+     * @param {Object} options - { range, reusePath, maxOps, costMatrix } (range defaults to 0)
      * @returns {number} OK or error code
      */
-    moveTo(target, terrain = null, collisionCheck = null) {
+    moveTo(target, terrain = null, collisionCheck = null, options = {}) {
         if (this.fatigue > 0) {
-            return ERR_NOT_IN_RANGE; // Can't move when fatigued
+            return ERR_TIRED; // Can't move when fatigued
         }
 
-        // Calculate desired movement
-        const dx = Math.sign(target.x - this.x);
-        const dy = Math.sign(target.y - this.y);
-
-        if (dx === 0 && dy === 0) {
+        const range = options.range || 0;
+        if (this.getRangeTo(target) <= range) {
             return OK; // Already at target
         }
 
-        // Helper to check if position is valid
-        const isValidPosition = (x, y) => {
-            if (terrain && !terrain.isWalkable(x, y)) {
-                return false;
-            }
-            if (collisionCheck && collisionCheck(x, y)) {
-                return false;
-            }
-            return true;
-        };
-
-        // Priority-ordered movement directions
-        // 1. Preferred diagonal direction
-        // 2. Cardinal directions (prioritize toward target)
-        // 3. Other diagonals
-        // 4. Remaining cardinals
-        const directions = [];
-
-        // Primary: diagonal toward target
-        if (dx !== 0 && dy !== 0) {
-            directions.push({ x: this.x + dx, y: this.y + dy });
+        const searchTerrain = terrain || getDefaultTerrain();
+        const reusePath = options.reusePath ?? DEFAULT_REUSE_PATH;
+        const key = `${target.x},${target.y},${range}`;
+        let path = this.followCachedPath(key, reusePath);
+
+        if (!path) {
+            path = findPath(this, target, {
+                terrain: searchTerrain,
+                range,
+                maxOps: options.maxOps,
+                costMatrix: options.costMatrix
+            });
+            this.pathCache = { key, path, uses: 0 };
         }
 
-        // Secondary: cardinal directions toward target
-        if (dx !== 0) {
-            directions.push({ x: this.x + dx, y: this.y });
-        }
-        if (dy !== 0) {
-            directions.push({ x: this.x, y: this.y + dy });
+        let step = path[0];
+
+        if (step && collisionCheck && collisionCheck(step.x, step.y)) {
+            // Plan around the creeps in the way; the target tile itself can't be entered either
+            const detourRange = collisionCheck(target.x, target.y) ? Math.max(range, 1) : range;
+            const detour = findPath(this, target, {
+                terrain: searchTerrain,
+                range: detourRange,
+                maxOps: options.maxOps,
+                costMatrix: options.costMatrix,
+                isBlocked: collisionCheck
+            });
+            step = detour[0];
+            this.pathCache = null;
         }
 
-        // Tertiary: other diagonal directions (for maneuvering around obstacles)
-        if (dx !== 0 && dy !== 0) {
-            directions.push({ x: this.x - dx, y: this.y + dy }); // opposite x
-            directions.push({ x: this.x + dx, y: this.y - dy }); // opposite y
+        if (!step) {
+            return ERR_NO_PATH;
         }
 
-        // Quaternary: remaining cardinals (for backtracking if needed)
-        if (dx !== 0) {
-            directions.push({ x: this.x - dx, y: this.y });
+        if (this.pathCache) {
+            this.pathCache.uses++;
         }
-        if (dy !== 0) {
-            directions.push({ x: this.x, y: this.y - dy });
+        this.moveIntent = { x: step.x, y: step.y };
+        return OK;
+    }
+
+    /**
+     * Remaining steps of the cached path, if it is still usable
+     * @param {string} key - Target/range key the path was planned for
+     * @param {number} reusePath - Ticks a path may be reused
+     * @returns {Object[]|null} Steps from the current position, or null to re-plan
+     */
+    followCachedPath(key, reusePath) {
+        const cache = this.pathCache;
+        if (!cache || cache.key !== key || cache.uses >= reusePath) {
+            return null;
         }
 
-        // Try each direction in priority order
-        for (const dir of directions) {
-            if (isValidPosition(dir.x, dir.y)) {
-                // Execute movement
-                this.x = dir.x;
-                this.y = dir.y;
+        const index = cache.path.findIndex(step => step.x === this.x && step.y === this.y);
+        const remaining = cache.path.slice(index + 1);
+        const next = remaining[0];
 
-                // Add fatigue based on terrain at NEW position
-                const terrainCost = terrain ? terrain.getCost(this.x, this.y) : 2;
-                this.fatigue += terrainCost;
+        // Off the path (e.g. the last move was blocked): only valid if still adjacent to the next step
+        if (!next || Math.max(Math.abs(next.x - this.x), Math.abs(next.y - this.y)) !== 1) {
+            return null;
+        }
 
-                return OK;
-            }
+        return remaining;
+    }
+
+    /**
+     * Execute the queued move
+     * @param {Object} terrain - Terrain map (optional)
+     */
+    commitMove(terrain = null) {
+        if (!this.moveIntent) {
+            return;
         }
 
-        // Completely blocked - can't move anywhere
-        return ERR_NOT_IN_RANGE;
+        this.x = this.moveIntent.x;
+        this.y = this.moveIntent.y;
+        this.moveIntent = null;
+
+        // Add fatigue based on terrain at NEW position
+        const terrainCost = terrain ? terrain.getCost(this.x, this.y) : 2;
+        this.fatigue += terrainCost;
+    }
+
+    /**
+     * Drop the queued move (blocked during resolution)
+     */
+    cancelMove() {
+        this.moveIntent = null;
     }
 
     /**
      * Reduce fatigue (called at start of each tick)
      */
     reduceFatigue() {
-        const moveParts = this.getActiveBodyParts(MOVE);
-        this.fatigue = Math.max(0, this.fatigue - (moveParts * 2));
+        const fatigueReduction = this.getBoostedPower(MOVE, 'fatigue', MOVE_POWER);
+        this.fatigue = Math.max(0, this.fatigue - fatigueReduction);
     }
 
     /**
@@ -350,9 +661,10 @@ export class MockCreep {
             damageDealt: this.damageDealt,
             healingDone: this.healingDone,
             healingReceived: this.healingReceived,
+            overriddenActions: this.overriddenActions,
             x: this.x,
             y: this.y,
-            bodyParts: this.body.map(p => ({ type: p.type, hits: p.hits }))
+            bodyParts: this.body.map(p => ({ type: p.type, hits: p.hits, boost: p.boost }))
         };
     }
 
@@ -361,14 +673,15 @@ export class MockCreep {
      * @returns {MockCreep} New creep with same configuration
      */
     clone(newId = null) {
-        const bodyTypes = this.body.map(p => p.type);
+        const bodyParts = this.body.map(p => ({ type: p.type, boost: p.boost }));
         return new MockCreep(
             newId || this.id,
             this.x,
             this.y,
-            bodyTypes,
+            bodyParts,
             this.my,
-            this.name
+            this.name,
+            this.role
         );
     }
 }
@@ -0,0 +1,12 @@
+/**
+ * ELO Worker - Runs a shard of ELO matchups on a worker thread
+ * Spawned by runEloMode when --workers is greater than 1.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { runEloMatchups, resolveWorkerConfig } from './simulation-runner.mjs';
+
+const { compositions, matchups, settings } = workerData;
+const config = await resolveWorkerConfig(settings);
+
+parentPort.postMessage(runEloMatchups(compositions, matchups, config));
@@ -0,0 +1,228 @@
+/**
+ * Map Loader - Fixed terrain maps from the maps/ directory
+ *
+ * A JSON map file:
+ *
+ *   {
+ *       "name": "chokepoint",
+ *       "width": 100,
+ *       "height": 100,
+ *       "spawns": { "player": { "x": 12, "y": 46 }, "enemy": { "x": 82, "y": 49 } },
+ *       "terrain": ["1111...", "1000...", ...],
+ *       "structures": [{ "type": "tower", "x": 14, "y": 44, "owner": "player" }, ...]
+ *   }
+ *
+ * `terrain` rows use either the values returned by the game's getTerrainAt
+ * (0 plain, 1 wall, 2 swamp) or the ASCII tiles of Terrain.fromAscii
+ * ('.' plain, '#' wall, '~' swamp). It can also be a single row-major string
+ * of width * height tiles. Spawns are the anchor tile each squad forms up from.
+ *
+ * `structures` is optional: towers and ramparts (`"owner": "player"` or
+ * `"enemy"`) and constructed walls (unowned), one per walkable tile, with
+ * optional starting `hits` and, for towers, `energy`.
+ *
+ * An ASCII map file (.txt) is just the rows, with `P` and `E` marking the
+ * player and enemy spawns (plain tiles) and `//` lines as comments; the first
+ * comment becomes the description.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Terrain } from './terrain.mjs';
+import {
+    TERRAIN_PLAIN, TERRAIN_SWAMP, TERRAIN_WALL,
+    STRUCTURE_TOWER, STRUCTURE_RAMPART, STRUCTURE_WALL
+} from './constants.mjs';
+
+export const MAPS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../maps');
+
+const MAP_EXTENSIONS = ['.json', '.txt'];
+
+const STRUCTURE_TYPES = [STRUCTURE_TOWER, STRUCTURE_RAMPART, STRUCTURE_WALL];
+
+// getTerrainAt values in JSON rows, as ASCII tiles
+const DIGIT_TILES = {
+    [TERRAIN_PLAIN]: '.',
+    [TERRAIN_WALL]: '#',
+    [TERRAIN_SWAMP]: '~'
+};
+
+/**
+ * Names of the bundled maps
+ * @returns {string[]} Map names (file names without extension)
+ */
+export function listMaps() {
+    if (!fs.existsSync(MAPS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(MAPS_DIR)
+        .filter(file => MAP_EXTENSIONS.includes(path.extname(file)))
+        .map(file => path.basename(file, path.extname(file)))
+        .sort();
+}
+
+/**
+ * Split the terrain field into one string per row
+ * @param {string|string[]} terrain - Row strings or a single row-major string
+ * @param {number} width - Map width
+ * @param {number} height - Map height
+ * @returns {string[]} Rows
+ */
+function toRows(terrain, width, height) {
+    if (Array.isArray(terrain)) {
+        return terrain;
+    }
+
+    if (typeof terrain !== 'string' || terrain.length !== width * height) {
+        throw new Error(`Map terrain must be ${height} rows or a string of ${width * height} tiles`);
+    }
+
+    return Array.from({ length: height }, (_, y) => terrain.slice(y * width, (y + 1) * width));
+}
+
+/**
+ * Check the map's structure definitions
+ * @param {Object[]} structures - { type, x, y, owner, hits, energy } entries
+ * @param {Terrain} terrain - Map terrain
+ * @param {string} name - Map name
+ * @returns {Object[]} Structure definitions
+ */
+function parseStructures(structures, terrain, name) {
+    if (!Array.isArray(structures)) {
+        throw new Error(`Map "${name}" structures must be an array`);
+    }
+
+    const tiles = new Set();
+
+    return structures.map((structure, index) => {
+        const { type, x, y, owner } = structure;
+        const label = `Map "${name}" structure ${index} (${type})`;
+
+        if (!STRUCTURE_TYPES.includes(type)) {
+            throw new Error(`${label} has an unknown type. Types: ${STRUCTURE_TYPES.join(', ')}`);
+        }
+        if (type !== STRUCTURE_WALL && owner !== 'player' && owner !== 'enemy') {
+            throw new Error(`${label} needs an owner, "player" or "enemy"`);
+        }
+        if (!terrain.isWalkable(x, y)) {
+            throw new Error(`${label} is not on a walkable tile`);
+        }
+        if (tiles.has(`${x},${y}`)) {
+            throw new Error(`${label} shares tile ${x},${y} with another structure`);
+        }
+        tiles.add(`${x},${y}`);
+
+        const definition = { type, x, y };
+        if (type !== STRUCTURE_WALL) {
+            definition.owner = owner;
+        }
+        if (structure.hits !== undefined) {
+            definition.hits = structure.hits;
+        }
+        if (type === STRUCTURE_TOWER && structure.energy !== undefined) {
+            definition.energy = structure.energy;
+        }
+        return definition;
+    });
+}
+
+/**
+ * Build a map from parsed map data
+ * @param {Object} data - Map definition (see module header)
+ * @param {string} fallbackName - Name to use when the data has none
+ * @returns {Object} { name, description, width, height, spawns, terrain, structures }
+ */
+export function parseMap(data, fallbackName = 'custom') {
+    const name = data.name || fallbackName;
+    const width = data.width || 100;
+    const height = data.height || 100;
+    const rows = toRows(data.terrain, width, height);
+
+    if (rows.length !== height) {
+        throw new Error(`Map "${name}" has ${rows.length} terrain rows, expected ${height}`);
+    }
+
+    const ascii = rows.map(row => row.replace(/[012]/g, digit => DIGIT_TILES[digit])).join('\n');
+    const terrain = Terrain.fromAscii(ascii);
+
+    if (terrain.width !== width) {
+        throw new Error(`Map "${name}" rows have ${terrain.width} tiles, expected ${width}`);
+    }
+
+    const spawns = data.spawns || {};
+    for (const side of ['player', 'enemy']) {
+        const spawn = spawns[side];
+        if (!spawn || !terrain.isWalkable(spawn.x, spawn.y)) {
+            throw new Error(`Map "${name}" needs a walkable ${side} spawn`);
+        }
+    }
+
+    return {
+        name,
+        description: data.description || '',
+        width,
+        height,
+        spawns: {
+            player: { x: spawns.player.x, y: spawns.player.y },
+            enemy: { x: spawns.enemy.x, y: spawns.enemy.y }
+        },
+        terrain,
+        structures: parseStructures(data.structures || [], terrain, name)
+    };
+}
+
+/**
+ * Parse an ASCII map file: terrain rows with P/E spawn markers and // comments
+ * @param {string} text - File contents
+ * @param {string} name - Map name
+ * @returns {Object} Parsed map (see parseMap)
+ */
+export function parseAsciiMap(text, name = 'custom') {
+    const lines = text.split(/\r?\n/);
+    const comments = lines.filter(line => line.startsWith('//')).map(line => line.slice(2).trim());
+    const rows = lines.filter(line => !line.startsWith('//')).map(line => line.trimEnd()).filter(line => line.length > 0);
+    const spawns = {};
+
+    rows.forEach((row, y) => {
+        for (const [marker, side] of [['P', 'player'], ['E', 'enemy']]) {
+            const x = row.indexOf(marker);
+            if (x !== -1) {
+                spawns[side] = { x, y };
+            }
+        }
+    });
+
+    return parseMap({
+        name,
+        description: comments[0] || '',
+        width: rows[0]?.length || 0,
+        height: rows.length,
+        spawns,
+        terrain: rows.map(row => row.replace(/[PE]/g, '.'))
+    }, name);
+}
+
+/**
+ * Load a map by bundled name or file path
+ * @param {string|Object} map - Map name (e.g. 'chokepoint'), path to a map file, or map data
+ * @returns {Object} Parsed map (see parseMap)
+ */
+export function loadMap(map) {
+    if (map && typeof map === 'object') {
+        return map.terrain instanceof Terrain ? map : parseMap(map);
+    }
+
+    const bundled = MAP_EXTENSIONS.map(ext => path.join(MAPS_DIR, `${map}${ext}`)).find(file => fs.existsSync(file));
+    const file = bundled || path.resolve(String(map));
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown map "${map}". Bundled maps: ${listMaps().join(', ')}`);
+    }
+
+    const name = path.basename(file, path.extname(file));
+    const text = fs.readFileSync(file, 'utf8');
+
+    return path.extname(file) === '.json' ? parseMap(JSON.parse(text), name) : parseAsciiMap(text, name);
+}
@@ -0,0 +1,323 @@
+/**
+ * Pathfinder - A* search over terrain with cost matrices
+ *
+ * Modeled on the game's PathFinder: plain and swamp tiles cost their fatigue
+ * (2 and 10 by default), walls are impassable, and a CostMatrix can override
+ * any tile (0 = use terrain, 255 = impassable). Goals can carry a range, and
+ * flee mode searches for a tile at least `range` away from every goal.
+ */
+
+import { FATIGUE_COST_PLAIN, FATIGUE_COST_SWAMP } from './constants.mjs';
+
+export const DEFAULT_MAX_OPS = 2000;
+export const IMPASSABLE = 255;
+
+const DIRECTIONS = [
+    { dx: 0, dy: -1 },
+    { dx: 1, dy: -1 },
+    { dx: 1, dy: 0 },
+    { dx: 1, dy: 1 },
+    { dx: 0, dy: 1 },
+    { dx: -1, dy: 1 },
+    { dx: -1, dy: 0 },
+    { dx: -1, dy: -1 }
+];
+
+export class CostMatrix {
+    /**
+     * Create cost matrix (all zeros: defer to terrain)
+     * @param {number} width - Map width
+     * @param {number} height - Map height
+     */
+    constructor(width = 50, height = 50) {
+        this.width = width;
+        this.height = height;
+        this.bits = new Uint8Array(width * height);
+    }
+
+    /**
+     * Set cost at position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} cost - 0 (terrain), 1-254 (cost) or 255 (impassable)
+     */
+    set(x, y, cost) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return;
+        }
+        this.bits[y * this.width + x] = cost;
+    }
+
+    /**
+     * Get cost at position
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Stored cost
+     */
+    get(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+            return IMPASSABLE;
+        }
+        return this.bits[y * this.width + x];
+    }
+
+    /**
+     * Copy this matrix
+     * @returns {CostMatrix} Clone
+     */
+    clone() {
+        const cloned = new CostMatrix(this.width, this.height);
+        cloned.bits.set(this.bits);
+        return cloned;
+    }
+}
+
+/**
+ * Minimal binary heap keyed on f-score
+ */
+class OpenSet {
+    constructor() {
+        this.nodes = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node, score) {
+        this.nodes.push(node);
+        this.scores.push(score);
+        let i = this.nodes.length - 1;
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[parent] <= this.scores[i]) {
+                break;
+            }
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastScore = this.scores.pop();
+
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.scores[0] = lastScore;
+            let i = 0;
+
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < this.nodes.length && this.scores[left] < this.scores[smallest]) {
+                    smallest = left;
+                }
+                if (right < this.nodes.length && this.scores[right] < this.scores[smallest]) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    swap(a, b) {
+        [this.nodes[a], this.nodes[b]] = [this.nodes[b], this.nodes[a]];
+        [this.scores[a], this.scores[b]] = [this.scores[b], this.scores[a]];
+    }
+}
+
+/**
+ * Normalize goals into [{ x, y, range }]
+ * @param {Object|Object[]} goals - Position, { pos, range }, { x, y, range } or an array of those
+ * @returns {Object[]} Normalized goals
+ */
+function normalizeGoals(goals) {
+    const list = Array.isArray(goals) ? goals : [goals];
+
+    return list.map(goal => {
+        const pos = goal.pos || goal;
+        return { x: pos.x, y: pos.y, range: goal.range || 0 };
+    });
+}
+
+function chebyshev(ax, ay, bx, by) {
+    return Math.max(Math.abs(ax - bx), Math.abs(ay - by));
+}
+
+/**
+ * Search for a path from origin to any goal (or away from all goals when fleeing)
+ * @param {Object} origin - Start position { x, y }
+ * @param {Object|Object[]} goals - Goal(s); each may carry a `range`
+ * @param {Object} options - Search options
+ * @param {Terrain} options.terrain - Terrain to search (required)
+ * @param {CostMatrix} options.costMatrix - Per-tile cost overrides
+ * @param {Object[]} options.obstacles - Extra impassable positions (e.g. creeps)
+ * @param {Function} options.isBlocked - Extra impassable check (x, y) => boolean
+ * @param {number} options.plainCost - Cost of a plain tile (default 2)
+ * @param {number} options.swampCost - Cost of a swamp tile (default 10)
+ * @param {boolean} options.flee - Search for a tile out of range of every goal
+ * @param {number} options.maxOps - Maximum tiles expanded (default 2000)
+ * @param {number} options.maxCost - Abandon paths costlier than this
+ * @param {number} options.heuristicWeight - A* heuristic weight (default 1)
+ * @returns {Object} { path, ops, cost, incomplete }
+ */
+export function searchPath(origin, goals, options = {}) {
+    const { terrain } = options;
+    if (!terrain) {
+        throw new Error('searchPath requires a terrain');
+    }
+
+    const width = terrain.width;
+    const height = terrain.height;
+    const targets = normalizeGoals(goals);
+    const flee = Boolean(options.flee);
+    const plainCost = options.plainCost ?? FATIGUE_COST_PLAIN;
+    const swampCost = options.swampCost ?? FATIGUE_COST_SWAMP;
+    const maxOps = options.maxOps ?? DEFAULT_MAX_OPS;
+    const maxCost = options.maxCost ?? Infinity;
+    const heuristicWeight = options.heuristicWeight ?? 1;
+    const costMatrix = options.costMatrix || null;
+    const isBlocked = options.isBlocked || null;
+    const minStepCost = Math.max(1, Math.min(plainCost, swampCost));
+
+    const blocked = new Set();
+    for (const obstacle of options.obstacles || []) {
+        blocked.add(obstacle.y * width + obstacle.x);
+    }
+
+    // Distance still to cover, in tiles: zero means the node satisfies the search
+    const remaining = (x, y) => {
+        if (flee) {
+            let worst = 0;
+            for (const goal of targets) {
+                worst = Math.max(worst, goal.range - chebyshev(x, y, goal.x, goal.y));
+            }
+            return worst;
+        }
+
+        let best = Infinity;
+        for (const goal of targets) {
+            best = Math.min(best, Math.max(0, chebyshev(x, y, goal.x, goal.y) - goal.range));
+        }
+        return best;
+    };
+
+    const tileCost = (x, y) => {
+        if (x < 0 || x >= width || y < 0 || y >= height) {
+            return Infinity;
+        }
+        if (blocked.has(y * width + x) || (isBlocked && isBlocked(x, y))) {
+            return Infinity;
+        }
+
+        if (costMatrix) {
+            const override = costMatrix.get(x, y);
+            if (override === IMPASSABLE) {
+                return Infinity;
+            }
+            if (override > 0) {
+                return override;
+            }
+        }
+
+        if (!terrain.isWalkable(x, y)) {
+            return Infinity;
+        }
+        return terrain.getCost(x, y) === FATIGUE_COST_SWAMP ? swampCost : plainCost;
+    };
+
+    const size = width * height;
+    const gScore = new Float64Array(size).fill(Infinity);
+    const parent = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = new OpenSet();
+
+    const start = origin.y * width + origin.x;
+    gScore[start] = 0;
+    open.push(start, remaining(origin.x, origin.y) * minStepCost * heuristicWeight);
+
+    let best = start;
+    let bestRemaining = remaining(origin.x, origin.y);
+    let ops = 0;
+    let found = bestRemaining === 0;
+
+    while (!found && open.size > 0 && ops < maxOps) {
+        const current = open.pop();
+        if (closed[current]) {
+            continue;
+        }
+        closed[current] = 1;
+        ops++;
+
+        const cx = current % width;
+        const cy = (current - cx) / width;
+        const h = remaining(cx, cy);
+
+        if (h < bestRemaining || (h === bestRemaining && gScore[current] < gScore[best])) {
+            best = current;
+            bestRemaining = h;
+        }
+
+        if (h === 0) {
+            found = true;
+            break;
+        }
+
+        for (const { dx, dy } of DIRECTIONS) {
+            const nx = cx + dx;
+            const ny = cy + dy;
+            const cost = tileCost(nx, ny);
+            if (cost === Infinity) {
+                continue;
+            }
+
+            const next = ny * width + nx;
+            const tentative = gScore[current] + cost;
+            if (closed[next] || tentative >= gScore[next] || tentative > maxCost) {
+                continue;
+            }
+
+            gScore[next] = tentative;
+            parent[next] = current;
+            open.push(next, tentative + remaining(nx, ny) * minStepCost * heuristicWeight);
+        }
+    }
+
+    const path = [];
+    for (let node = best; node !== start && node !== -1; node = parent[node]) {
+        const x = node % width;
+        path.push({ x, y: (node - x) / width });
+    }
+    path.reverse();
+
+    return {
+        path,
+        ops,
+        cost: gScore[best],
+        incomplete: !found
+    };
+}
+
+/**
+ * Find a path between two positions
+ * @param {Object} from - Start position { x, y }
+ * @param {Object} to - Target position { x, y }
+ * @param {Object} options - searchPath options plus `range` (default 0)
+ * @returns {Object[]} Steps excluding the start (partial if the target is unreachable)
+ */
+export function findPath(from, to, options = {}) {
+    return searchPath(from, { x: to.x, y: to.y, range: options.range || 0 }, options).path;
+}
@@ -0,0 +1,67 @@
+/**
+ * Random - Seeded pseudo-random numbers for reproducible runs
+ *
+ * Every random decision in a run (compositions, spawn positions, terrain
+ * entropy, move tie-breaks) draws from generators created here, so the same
+ * seed replays the same run. Each battle gets its own seed derived from the
+ * run's generator, which lets a single battle be re-run on its own.
+ */
+
+/**
+ * Normalize a seed to an unsigned 32-bit integer
+ * Numbers (and numeric strings) are used as-is; other strings are hashed.
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit seed
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed for runs that were not given one
+ * @returns {number} 32-bit seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32) with the same contract as Math.random
+ * @param {number|string} seed - Seed value
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Draw a child seed from a generator (e.g. one seed per battle)
+ * @param {Function} random - Generator to draw from
+ * @returns {number} 32-bit seed
+ */
+export function deriveSeed(random) {
+    return Math.floor(random() * 0x100000000) >>> 0;
+}
@@ -1,7 +1,17 @@
+import { Worker } from 'worker_threads';
 import { CombatEngine } from './combat-engine.mjs';
-import { ScenarioGenerator } from '../scenarios/scenario-generator.mjs';
+import { ScenarioGenerator, FORMATIONS } from '../scenarios/scenario-generator.mjs';
+import { CompositionOptimizer } from '../scenarios/composition-optimizer.mjs';
+import { loadCompositionFile, listCompositions } from '../scenarios/composition-loader.mjs';
 import { ELOSystem } from '../elo/elo-system.mjs';
+import { Glicko2System } from '../elo/glicko2-system.mjs';
 import { BODYPART_COST } from './constants.mjs';
+import { getBodyPartType } from './creep.mjs';
+import { loadMap, parseMap } from './map-loader.mjs';
+import { loadStrategy } from './strategy.mjs';
+import { getAIProfile } from './ai-profiles.mjs';
+import { loadTactics } from './behavior-tree.mjs';
+import { createRandom, deriveSeed, normalizeSeed, randomSeed } from './random.mjs';
 
 const DEFAULT_ENGINE_ENTROPY = {
     spawnJitter: {
@@ -26,11 +36,23 @@ const DEFAULT_ENGINE_ENTROPY = {
     }
 };
 
-function getEngineEntropy(enabled) {
+// Predefined squads used as opponents when none are given
+const DEFAULT_OPPONENTS = ['ranged_kite', 'heavy_melee', 'hybrid_squad', 'current_strategy'];
+
+function getEngineEntropy(enabled, map = null) {
     if (!enabled) {
         return false;
     }
 
+    // Fixed maps keep their terrain; only spawn positions are jittered
+    if (map) {
+        return {
+            spawnJitter: { ...DEFAULT_ENGINE_ENTROPY.spawnJitter },
+            randomWalls: false,
+            randomTerrain: false
+        };
+    }
+
     return {
         spawnJitter: { ...DEFAULT_ENGINE_ENTROPY.spawnJitter },
         randomWalls: { ...DEFAULT_ENGINE_ENTROPY.randomWalls },
@@ -39,7 +61,7 @@ function getEngineEntropy(enabled) {
 }
 
 function calculateCost(body) {
-    return body.reduce((sum, part) => sum + BODYPART_COST[part], 0);
+    return body.reduce((sum, part) => sum + BODYPART_COST[getBodyPartType(part)], 0);
 }
 
 function summarizeBattles(results) {
@@ -203,14 +225,146 @@ function buildHeatmap(battles, width, height) {
     };
 }
 
-function createEngineConfig(config, recordBattle) {
+function createEngineConfig(config, recordBattle, seed = null) {
     return {
         verbose: config.verbose || false,
         recordBattle,
-        entropy: getEngineEntropy(config.entropy !== false)
+        entropy: getEngineEntropy(config.entropy !== false, config.map),
+        terrain: config.map ? config.map.terrain : null,
+        structures: config.map ? config.map.structures : null,
+        strategies: config.strategies || null,
+        squads: config.squads || null,
+        profiles: config.profiles || null,
+        tactics: config.tactics || null,
+        seed: seed ?? deriveSeed(config.random)
     };
 }
 
+/**
+ * Pick squad anchor positions for one battle
+ * Uses the map's spawns when a map is loaded, otherwise random positions
+ * on a shared row with a minimum separation.
+ * @param {CombatEngine} eng - Engine the battle runs in
+ * @param {Object} map - Loaded map or null
+ * @returns {Object} { player: { x, y }, enemy: { x, y } }
+ */
+function pickSpawnPositions(eng, map) {
+    if (map) {
+        return {
+            player: { ...map.spawns.player },
+            enemy: { ...map.spawns.enemy }
+        };
+    }
+
+    const mapSize = eng.baseTerrain?.width || 50;
+    const margin = 15; // Keep away from edges
+
+    // Random Y position for both teams (same Y to keep them aligned)
+    const spawnY = margin + Math.floor(eng.randomSource() * (mapSize - 2 * margin));
+
+    // Random X positions ensuring minimum separation
+    const minSeparation = 20;
+    const playerX = margin + Math.floor(eng.randomSource() * (mapSize - 2 * margin - minSeparation));
+    const enemyX = playerX + minSeparation + Math.floor(eng.randomSource() * (mapSize - playerX - margin - minSeparation));
+
+    return {
+        player: { x: playerX, y: spawnY },
+        enemy: { x: enemyX, y: spawnY }
+    };
+}
+
+/**
+ * Place a composition in the side's formation, unless its units are already placed
+ * @param {ScenarioGenerator} generator - Generator that lays out formations
+ * @param {Object[]} composition - Squad composition
+ * @param {string} formation - Formation name or null
+ * @returns {Object[]} Composition to spawn
+ */
+function withFormation(generator, composition, formation) {
+    if (!formation || composition.some(unit => unit.offset)) {
+        return composition;
+    }
+    return generator.applyFormation(composition, formation);
+}
+
+/**
+ * Place both squads for one battle and note what was placed in the battle context
+ * @param {CombatEngine} eng - Engine the battle runs in
+ * @param {Object} battleContext - Context of this battle
+ * @param {ScenarioGenerator} generator - Generator that builds the creeps
+ * @param {Object[]} playerComp - Player composition
+ * @param {Object[]} enemyComp - Enemy composition
+ * @param {Object} config - Resolved simulation config (uses map and formations)
+ */
+function setupMatchupBattle(eng, battleContext, generator, playerComp, enemyComp, config) {
+    const spawns = pickSpawnPositions(eng, config.map);
+    const formations = config.formations || {};
+    const player = withFormation(generator, playerComp, formations.player);
+    const enemy = withFormation(generator, enemyComp, formations.enemy);
+
+    // Stored with their offsets, so a replay places every creep the same way
+    battleContext.spawns = spawns;
+    battleContext.compositions = { player, enemy };
+
+    addSquad(eng, generator.createSquad(player, spawns.player.x, spawns.player.y, true));
+    addSquad(eng, generator.createSquad(enemy, spawns.enemy.x, spawns.enemy.y, false));
+}
+
+/**
+ * Keep what a results file needs to replay each battle
+ * @param {Object[]} battles - Battle results from runMultipleBattles
+ * @returns {Object[]} { winner, ticks, context } per battle
+ */
+function summarizeForReplay(battles) {
+    return battles.map(battle => ({
+        winner: battle.winner,
+        ticks: battle.ticks,
+        context: battle.context
+    }));
+}
+
+/**
+ * Add a squad to the engine, moving any creep that landed on a wall or
+ * another creep to the nearest free tile (map spawns can have rocks next to them)
+ * @param {CombatEngine} eng - Engine the battle runs in
+ * @param {MockCreep[]} squad - Creeps to add
+ */
+function addSquad(eng, squad) {
+    const occupied = new Set(eng.creeps.map(c => `${c.x},${c.y}`));
+
+    for (const creep of squad) {
+        if (!eng.isValidSpawnPosition(creep.x, creep.y, occupied)) {
+            const free = findFreeTile(eng, creep, occupied);
+            if (free) {
+                creep.x = free.x;
+                creep.y = free.y;
+            }
+        }
+
+        occupied.add(`${creep.x},${creep.y}`);
+        eng.addCreep(creep);
+    }
+}
+
+function findFreeTile(eng, origin, occupied) {
+    const maxRadius = 10;
+
+    for (let radius = 1; radius <= maxRadius; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) {
+                    continue;
+                }
+                if (eng.isValidSpawnPosition(origin.x + dx, origin.y + dy, occupied)) {
+                    return { x: origin.x + dx, y: origin.y + dy };
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
 function runMatchup({
     label,
     playerComp,
@@ -223,24 +377,8 @@ function runMatchup({
 }) {
     const engine = new CombatEngine(createEngineConfig(config, recordRequest.active));
 
-    const results = engine.runMultipleBattles(iterations, (eng) => {
-        // Randomize spawn positions for each battle
-        const mapSize = eng.baseTerrain?.width || 50;
-        const margin = 15; // Keep away from edges
-
-        // Random Y position for both teams (same Y to keep them aligned)
-        const spawnY = margin + Math.floor(Math.random() * (mapSize - 2 * margin));
-
-        // Random X positions ensuring minimum separation
-        const minSeparation = 20;
-        const playerX = margin + Math.floor(Math.random() * (mapSize - 2 * margin - minSeparation));
-        const enemyX = playerX + minSeparation + Math.floor(Math.random() * (mapSize - playerX - margin - minSeparation));
-
-        const playerSquad = generator.createSquad(playerComp, playerX, spawnY, true);
-        const enemySquad = generator.createSquad(enemyComp, enemyX, spawnY, false);
-
-        playerSquad.forEach(c => eng.addCreep(c));
-        enemySquad.forEach(c => eng.addCreep(c));
+    const results = engine.runMultipleBattles(iterations, (eng, battleContext) => {
+        setupMatchupBattle(eng, battleContext, generator, playerComp, enemyComp, config);
     });
 
     const summary = summarizeBattles(results);
@@ -252,6 +390,10 @@ function runMatchup({
         enemyCost: enemyComp.reduce((sum, u) => sum + (u.cost || calculateCost(u.body)), 0)
     };
 
+    if (config.captureBattles) {
+        runInfo.battles = summarizeForReplay(results.battles);
+    }
+
     if (includeHeatmap) {
         const width = engine.baseTerrain?.width || 50;
         const height = engine.baseTerrain?.height || 50;
@@ -271,7 +413,7 @@ function runMatchup({
 }
 
 function runQuickMode(config) {
-    const generator = new ScenarioGenerator();
+    const generator = new ScenarioGenerator({ random: config.random });
     const scenarios = [
         { name: 'Ranged Kite vs Heavy Melee', player: 'ranged_kite', enemy: 'heavy_melee' },
         { name: 'Current Strategy vs Heavy Melee', player: 'current_strategy', enemy: 'heavy_melee' },
@@ -313,34 +455,20 @@ function runQuickMode(config) {
 }
 
 function runRandomMode(config) {
-    const generator = new ScenarioGenerator({ maxEnergy: 3000 });
+    const generator = new ScenarioGenerator({ maxEnergy: 3000, random: config.random });
     const recordRequest = {
         active: Boolean(config.record),
         captured: false
     };
 
     const engine = new CombatEngine(createEngineConfig(config, recordRequest.active));
-    const results = engine.runMultipleBattles(config.battles || 100, (eng) => {
-        const playerComp = generator.generateSquad(3000);
-        const enemyComp = generator.generateSquad(3000);
-
-        // Randomize spawn positions for each battle
-        const mapSize = eng.baseTerrain?.width || 50;
-        const margin = 15; // Keep away from edges
-
-        // Random Y position for both teams (same Y to keep them aligned)
-        const spawnY = margin + Math.floor(Math.random() * (mapSize - 2 * margin));
-
-        // Random X positions ensuring minimum separation
-        const minSeparation = 20;
-        const playerX = margin + Math.floor(Math.random() * (mapSize - 2 * margin - minSeparation));
-        const enemyX = playerX + minSeparation + Math.floor(Math.random() * (mapSize - playerX - margin - minSeparation));
-
-        const playerSquad = generator.createSquad(playerComp, playerX, spawnY, true);
-        const enemySquad = generator.createSquad(enemyComp, enemyX, spawnY, false);
+    const results = engine.runMultipleBattles(config.battles || 100, (eng, battleContext) => {
+        // Compositions come from the battle's own seed so each battle can be re-run alone
+        const battleGenerator = new ScenarioGenerator({ maxEnergy: 3000, random: eng.randomSource });
+        const playerComp = battleGenerator.generateSquad(3000);
+        const enemyComp = battleGenerator.generateSquad(3000);
 
-        playerSquad.forEach(c => eng.addCreep(c));
-        enemySquad.forEach(c => eng.addCreep(c));
+        setupMatchupBattle(eng, battleContext, generator, playerComp, enemyComp, config);
     });
 
     const summary = summarizeBattles(results);
@@ -350,6 +478,10 @@ function runRandomMode(config) {
         summary
     };
 
+    if (config.captureBattles) {
+        runInfo.battles = summarizeForReplay(results.battles);
+    }
+
     if (config.heatmap) {
         const width = engine.baseTerrain?.width || 50;
         const height = engine.baseTerrain?.height || 50;
@@ -381,27 +513,73 @@ function runPredefinedMode(config) {
         throw new Error('Scenario name required for predefined mode');
     }
 
-    const generator = new ScenarioGenerator();
-    const baseComp = generator.getPredefinedComposition(config.scenario);
+    const generator = new ScenarioGenerator({ random: config.random });
+    const { name: scenarioName, composition: baseComp } = loadComposition(generator, config.scenario);
+    const opponents = resolveOpponents(generator, config.opponents?.length > 0
+        ? config.opponents
+        : DEFAULT_OPPONENTS.filter(name => name !== scenarioName));
+
+    const recordRequest = {
+        active: Boolean(config.record),
+        captured: false
+    };
+
+    const runs = opponents.map(opponent => {
+        return runMatchup({
+            label: `${scenarioName} vs ${opponent.name}`,
+            playerComp: baseComp,
+            enemyComp: opponent.composition,
+            iterations: config.battles || 100,
+            config,
+            generator,
+            recordRequest,
+            includeHeatmap: Boolean(config.heatmap)
+        });
+    });
+
+    const result = {
+        mode: 'predefined',
+        scenario: scenarioName,
+        runs
+    };
 
-    if (!baseComp) {
-        throw new Error(`Unknown scenario "${config.scenario}"`);
+    if (recordRequest.captured) {
+        result.recording = runs.find(r => r.recording)?.recording || null;
     }
 
-    const opponents = ['ranged_kite', 'heavy_melee', 'hybrid_squad', 'current_strategy'].filter(name => name !== config.scenario);
+    return result;
+}
+
+function getStrategyName(strategy, profile = null, tactics = null) {
+    if (!strategy) {
+        const label = [profile, tactics?.name].filter(Boolean).join('+');
+        return label ? `built-in ${label}` : 'built-in';
+    }
+    return strategy.name || (typeof strategy === 'function' ? 'custom' : 'unnamed');
+}
+
+function runStrategyMode(config) {
+    const generator = new ScenarioGenerator({ random: config.random });
+    const scenarios = config.scenario
+        ? [config.scenario]
+        : ['ranged_kite', 'heavy_melee', 'hybrid_squad', 'current_strategy'];
+
+    const playerName = getStrategyName(config.strategies?.player, config.profiles?.player, config.tactics?.player);
+    const enemyName = getStrategyName(config.strategies?.enemy, config.profiles?.enemy, config.tactics?.enemy);
 
     const recordRequest = {
         active: Boolean(config.record),
         captured: false
     };
 
-    const runs = opponents.map(opponent => {
-        const enemyComp = generator.getPredefinedComposition(opponent);
+    // Mirror matchups: both sides field the same composition so only the strategy differs
+    const runs = scenarios.map(spec => {
+        const { name, composition } = loadComposition(generator, spec);
 
         return runMatchup({
-            label: `${config.scenario} vs ${opponent}`,
-            playerComp: baseComp,
-            enemyComp,
+            label: `${name}: ${playerName} vs ${enemyName}`,
+            playerComp: composition,
+            enemyComp: composition,
             iterations: config.battles || 100,
             config,
             generator,
@@ -411,8 +589,8 @@ function runPredefinedMode(config) {
     });
 
     const result = {
-        mode: 'predefined',
-        scenario: config.scenario,
+        mode: 'strategy',
+        strategies: { player: playerName, enemy: enemyName },
         runs
     };
 
@@ -423,10 +601,150 @@ function runPredefinedMode(config) {
     return result;
 }
 
-function runEloMode(config) {
-    const generator = new ScenarioGenerator({ maxEnergy: 3000 });
-    const elo = new ELOSystem();
+/**
+ * Run a batch of ELO matchups (in this thread or inside a worker)
+ * Each matchup carries its own pre-derived seed, so results do not depend on
+ * which thread runs it or in what order.
+ * @param {Object[]} compositions - { id, composition } entries
+ * @param {Object[]} matchups - { index, a, b, seed } entries
+ * @param {Object} config - Resolved simulation config
+ * @returns {Object[]} { index, wins, losses, draws, battles, replay } per matchup
+ */
+export function runEloMatchups(compositions, matchups, config) {
+    const generator = new ScenarioGenerator();
+    const battlesPerMatchup = Math.max(1, Math.floor((config.battles || 100) / 10));
+
+    return matchups.map(matchup => {
+        const compA = compositions[matchup.a];
+        const compB = compositions[matchup.b];
+
+        const engine = new CombatEngine(createEngineConfig(config, false, matchup.seed));
+        const results = engine.runMultipleBattles(battlesPerMatchup, (eng, battleContext) => {
+            setupMatchupBattle(eng, battleContext, generator, compA.composition, compB.composition, config);
+        });
+
+        return {
+            index: matchup.index,
+            wins: results.wins,
+            losses: results.losses,
+            draws: results.draws,
+            // Per-creep stats are dropped: they are not rated and would only bloat worker messages
+            battles: results.battles.map(({ winner, ticks, player, enemy }) => ({
+                winner,
+                ticks,
+                player: { survivors: player.survivors, totalDamage: player.totalDamage, totalHealing: player.totalHealing },
+                enemy: { survivors: enemy.survivors, totalDamage: enemy.totalDamage, totalHealing: enemy.totalHealing }
+            })),
+            replay: config.captureBattles ? summarizeForReplay(results.battles) : null
+        };
+    });
+}
+
+/**
+ * Settings a worker needs to rebuild the run config (no functions or class instances)
+ * @param {Object} config - Resolved simulation config
+ * @returns {Object} Serializable settings
+ */
+function getWorkerSettings(config) {
+    const sources = config.strategySources || {};
+
+    for (const side of ['player', 'enemy']) {
+        if (sources[side] && typeof sources[side] !== 'string') {
+            throw new Error('Worker threads can only load strategies from module paths');
+        }
+    }
+
+    return {
+        battles: config.battles,
+        entropy: config.entropy,
+        captureBattles: config.captureBattles,
+        formations: config.formations,
+        squads: config.squads,
+        profiles: config.profiles,
+        tactics: config.tactics,
+        strategies: { player: sources.player || null, enemy: sources.enemy || null },
+        map: config.map
+            ? { ...config.map, terrain: config.map.terrain.toAscii().split('\n') }
+            : null
+    };
+}
+
+/**
+ * Rebuild a run config from worker settings
+ * @param {Object} settings - Output of getWorkerSettings
+ * @returns {Promise<Object>} Config for runEloMatchups
+ */
+export async function resolveWorkerConfig(settings) {
+    return {
+        battles: settings.battles,
+        entropy: settings.entropy,
+        captureBattles: settings.captureBattles,
+        formations: settings.formations,
+        squads: settings.squads,
+        profiles: settings.profiles,
+        tactics: settings.tactics,
+        strategies: await resolveStrategies(settings.strategies),
+        map: settings.map ? parseMap(settings.map) : null
+    };
+}
 
+/**
+ * Shard matchups across worker threads
+ * @param {Object[]} compositions - { id, composition } entries
+ * @param {Object[]} matchups - { index, a, b, seed } entries
+ * @param {Object} config - Resolved simulation config
+ * @param {number} workerCount - Number of worker threads
+ * @returns {Promise<Object[]>} Matchup results in matchup order
+ */
+async function runEloMatchupsInWorkers(compositions, matchups, config, workerCount) {
+    const settings = getWorkerSettings(config);
+    const shards = Array.from({ length: workerCount }, () => []);
+    matchups.forEach((matchup, i) => shards[i % workerCount].push(matchup));
+
+    const shardResults = await Promise.all(shards.map(shard => new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./elo-worker.mjs', import.meta.url), {
+            workerData: { compositions, matchups: shard, settings }
+        });
+
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', code => {
+            if (code !== 0) {
+                reject(new Error(`ELO worker exited with code ${code}`));
+            }
+        });
+    })));
+
+    // Merge by matchup index so ratings never depend on thread scheduling
+    return shardResults.flat().sort((a, b) => a.index - b.index);
+}
+
+const RATING_SYSTEMS = {
+    elo: () => new ELOSystem(),
+    glicko2: () => new Glicko2System()
+};
+
+/**
+ * Create the rating system used to rank compositions
+ * @param {string} name - 'elo' (fixed K-factor) or 'glicko2' (rating with deviation)
+ * @returns {ELOSystem} Rating system
+ */
+function createRatingSystem(name) {
+    const create = RATING_SYSTEMS[name];
+    if (!create) {
+        throw new Error(`Unknown rating system "${name}". Available: ${Object.keys(RATING_SYSTEMS).join(', ')}`);
+    }
+    return create();
+}
+
+/**
+ * Build the compositions for an ELO run: the predefined squads plus random ones
+ * @param {Object} config - Resolved simulation config
+ * @param {Function} idFor - (composition, i) => id for the i-th random composition
+ * @returns {Object[]} { id, composition } entries
+ */
+function generateEloCompositions(config, idFor) {
+    const generator = new ScenarioGenerator({ maxEnergy: 3000, random: config.random });
     const compositions = [];
     const predefined = ['ranged_kite', 'heavy_melee', 'hybrid_squad', 'current_strategy'];
 
@@ -439,55 +757,466 @@ function runEloMode(config) {
 
     for (let i = 0; i < neededRandom; i++) {
         const comp = generator.generateSquad(3000);
-        compositions.push({ id: `random_${i}`, composition: comp });
+        compositions.push({ id: idFor(comp, i), composition: comp });
     }
 
-    let matchupCount = 0;
-    const totalBattlesPerMatchup = Math.max(1, Math.floor((config.battles || 100) / 10));
+    return compositions;
+}
+
+/**
+ * Run matchups (on worker threads when configured) and rate them in matchup order
+ * @param {ELOSystem} elo - Rating system to update
+ * @param {Object[]} compositions - { id, composition } entries
+ * @param {Object[]} matchups - { index, a, b, seed } entries
+ * @param {Object} config - Resolved simulation config
+ * @param {Object[]} captured - Receives { label, battles } per matchup when capturing battles
+ * @returns {Promise<number>} Matchups played
+ */
+async function playEloMatchups(elo, compositions, matchups, config, captured) {
+    const workerCount = Math.min(config.workers || 1, matchups.length);
+    const matchupResults = workerCount > 1
+        ? await runEloMatchupsInWorkers(compositions, matchups, config, workerCount)
+        : runEloMatchups(compositions, matchups, config);
+
+    // Results come back in matchup order
+    matchupResults.forEach((results, i) => {
+        const compA = compositions[matchups[i].a];
+        const compB = compositions[matchups[i].b];
+
+        if (config.captureBattles) {
+            captured.push({ label: `${compA.id} vs ${compB.id}`, battles: results.replay });
+        }
 
-    for (let i = 0; i < compositions.length; i++) {
-        for (let j = i + 1; j < compositions.length; j++) {
-            const compA = compositions[i];
-            const compB = compositions[j];
+        elo.recordMatchup(compA.id, compB.id, results.battles);
+    });
 
-            const engine = new CombatEngine(createEngineConfig(config, false));
-            const results = engine.runMultipleBattles(totalBattlesPerMatchup, (eng) => {
-                // Randomize spawn positions for each battle
-                const mapSize = eng.baseTerrain?.width || 50;
-                const margin = 15; // Keep away from edges
+    return matchupResults.length;
+}
 
-                // Random Y position for both teams (same Y to keep them aligned)
-                const spawnY = margin + Math.floor(Math.random() * (mapSize - 2 * margin));
+const LADDER_OPPONENTS = 5;
+
+/**
+ * Add this run's new compositions to a saved ladder and play each against
+ * rating-matched opponents, one round at a time so every pairing sees the
+ * ratings from the previous round
+ * @param {ELOSystem} elo - Rating system (ladder ratings get imported into it)
+ * @param {Object} config - Resolved simulation config
+ * @param {Object[]} captured - Receives captured battles
+ * @returns {Promise<Object>} { matchups, added, ladder }
+ */
+async function runLadder(elo, config, captured) {
+    const ladder = config.ladder;
+
+    if (ladder.rating && ladder.rating !== config.rating) {
+        throw new Error(`Ladder uses the ${ladder.rating} rating system; run it with --rating ${ladder.rating}`);
+    }
 
-                // Random X positions ensuring minimum separation
-                const minSeparation = 20;
-                const playerX = margin + Math.floor(Math.random() * (mapSize - 2 * margin - minSeparation));
-                const enemyX = playerX + minSeparation + Math.floor(Math.random() * (mapSize - playerX - margin - minSeparation));
+    elo.importRatings(JSON.stringify(ladder.ratings || {}));
 
-                const squadA = generator.createSquad(compA.composition, playerX, spawnY, true);
-                const squadB = generator.createSquad(compB.composition, enemyX, spawnY, false);
+    const compositions = Object.entries(ladder.compositions || {}).map(([id, composition]) => ({ id, composition }));
+    const known = new Set(compositions.map(comp => comp.id));
 
-                squadA.forEach(c => eng.addCreep(c));
-                squadB.forEach(c => eng.addCreep(c));
-            });
+    // Random squads are named by content, so the same squad keeps its ladder entry across runs
+    const generated = generateEloCompositions(config, comp => `random_${normalizeSeed(JSON.stringify(comp)).toString(16)}`);
+    const added = [];
+
+    for (const comp of generated) {
+        if (!known.has(comp.id)) {
+            known.add(comp.id);
+            added.push(comp);
+            elo.initializeComposition(comp.id);
+        }
+    }
+
+    compositions.push(...added);
 
-            const wins = results.wins;
-            const losses = results.losses;
-            const winner = wins > losses ? 'player' : (losses > wins ? 'enemy' : 'draw');
+    const ids = compositions.map(comp => comp.id);
+    const played = new Map(added.map(comp => [comp.id, new Set([comp.id])]));
+    let matchupCount = 0;
+
+    for (let round = 0; round < LADDER_OPPONENTS; round++) {
+        const matchups = [];
+
+        for (const comp of added) {
+            const opponent = elo.findBestMatchup(comp.id, ids.filter(id => !played.get(comp.id).has(id)));
+            if (!opponent) {
+                continue;
+            }
 
-            elo.recordBattle(compA.id, compB.id, winner, results.battles[0]);
-            matchupCount++;
+            played.get(comp.id).add(opponent);
+            matchups.push({
+                index: matchupCount + matchups.length,
+                a: ids.indexOf(comp.id),
+                b: ids.indexOf(opponent),
+                seed: deriveSeed(config.random)
+            });
+        }
+
+        if (matchups.length === 0) {
+            break;
         }
+
+        matchupCount += await playEloMatchups(elo, compositions, matchups, config, captured);
     }
 
     return {
+        matchups: matchupCount,
+        added: added.length,
+        ladder: {
+            rating: config.rating,
+            compositions: Object.fromEntries(compositions.map(comp => [comp.id, comp.composition])),
+            ratings: JSON.parse(elo.exportRatings())
+        }
+    };
+}
+
+async function runEloMode(config) {
+    const elo = createRatingSystem(config.rating);
+    const captured = [];
+
+    const result = {
         mode: 'elo',
-        leaderboard: elo.getLeaderboard(15),
-        matchups: matchupCount
+        rating: config.rating
+    };
+
+    if (config.ladder) {
+        const ladderRun = await runLadder(elo, config, captured);
+        result.matchups = ladderRun.matchups;
+        result.added = ladderRun.added;
+        result.ladder = ladderRun.ladder;
+    } else {
+        const compositions = generateEloCompositions(config, (comp, i) => `random_${i}`);
+
+        // Seeds are drawn up front, in round-robin order, whichever thread ends up running each matchup
+        const matchups = [];
+        for (let i = 0; i < compositions.length; i++) {
+            for (let j = i + 1; j < compositions.length; j++) {
+                matchups.push({ index: matchups.length, a: i, b: j, seed: deriveSeed(config.random) });
+            }
+        }
+
+        result.matchups = await playEloMatchups(elo, compositions, matchups, config, captured);
+    }
+
+    result.leaderboard = elo.getLeaderboard(15);
+
+    if (config.captureBattles) {
+        result.runs = captured;
+    }
+
+    return result;
+}
+
+/**
+ * Pair compositions for one Swiss round: strongest first, each with the
+ * closest-rated composition it has not played yet (a rematch only when it
+ * has played everyone left); an odd composition out sits the round out
+ * @param {ELOSystem} elo - Current ratings
+ * @param {Object[]} compositions - { id, composition } entries
+ * @param {Map<string, Set<string>>} played - Opponents each composition has met
+ * @returns {number[][]} [a, b] composition index pairs
+ */
+function pairSwissRound(elo, compositions, played) {
+    const order = compositions
+        .map((comp, index) => ({ id: comp.id, index }))
+        .sort((a, b) => elo.getRating(b.id) - elo.getRating(a.id) || a.index - b.index);
+    const unpaired = new Set(order.map(entry => entry.id));
+    const indexOf = new Map(order.map(entry => [entry.id, entry.index]));
+    const pairs = [];
+
+    for (const { id } of order) {
+        if (!unpaired.has(id)) {
+            continue;
+        }
+        unpaired.delete(id);
+
+        const candidates = [...unpaired];
+        const fresh = candidates.filter(candidate => !played.get(id).has(candidate));
+        const opponent = elo.findBestMatchup(id, fresh.length > 0 ? fresh : candidates);
+        if (!opponent) {
+            continue;
+        }
+
+        unpaired.delete(opponent);
+        played.get(id).add(opponent);
+        played.get(opponent).add(id);
+        pairs.push([indexOf.get(id), indexOf.get(opponent)]);
+    }
+
+    return pairs;
+}
+
+async function runSwissMode(config) {
+    const elo = createRatingSystem(config.rating);
+    const compositions = generateEloCompositions(config, (comp, i) => `random_${i}`);
+    const rounds = config.rounds || Math.max(1, Math.ceil(Math.log2(compositions.length)));
+    const played = new Map(compositions.map(comp => [comp.id, new Set()]));
+    const captured = [];
+    let matchupCount = 0;
+
+    compositions.forEach(comp => elo.initializeComposition(comp.id));
+
+    for (let round = 0; round < rounds; round++) {
+        const matchups = pairSwissRound(elo, compositions, played).map(([a, b], i) => ({
+            index: matchupCount + i,
+            a,
+            b,
+            seed: deriveSeed(config.random)
+        }));
+
+        matchupCount += await playEloMatchups(elo, compositions, matchups, config, captured);
+    }
+
+    const result = {
+        mode: 'swiss',
+        rating: config.rating,
+        rounds,
+        matchups: matchupCount,
+        leaderboard: elo.getLeaderboard(15)
+    };
+
+    if (config.captureBattles) {
+        result.runs = captured;
+    }
+
+    return result;
+}
+
+/**
+ * Resolve a composition: a predefined name, a composition file in scenarios/, or a JSON file path
+ * @param {ScenarioGenerator} generator - Generator holding the predefined compositions
+ * @param {string} spec - Composition name or path to a .json file
+ * @returns {Object} { name, composition }
+ */
+function loadComposition(generator, spec) {
+    const predefined = generator.getPredefinedComposition(spec);
+    if (predefined) {
+        return { name: spec, composition: predefined };
+    }
+
+    const loaded = loadCompositionFile(spec);
+    if (!loaded) {
+        throw new Error(`Unknown composition "${spec}". Compositions in scenarios/: ${listCompositions().join(', ') || 'none'}`);
+    }
+
+    return { name: loaded.name, composition: loaded.composition };
+}
+
+/**
+ * Look up opponent compositions
+ * @param {ScenarioGenerator} generator - Generator holding the predefined compositions
+ * @param {string[]} specs - Composition names or files (default: the four classic squads)
+ * @returns {Object[]} { name, composition } entries
+ */
+function resolveOpponents(generator, specs) {
+    return (specs && specs.length > 0 ? specs : DEFAULT_OPPONENTS).map(spec => loadComposition(generator, spec));
+}
+
+/**
+ * Wilson score interval for a win rate (draws count as half a win)
+ * @param {number} score - Wins plus half the draws
+ * @param {number} battles - Battles played
+ * @param {number} z - Normal quantile (default 1.96 for 95%)
+ * @returns {Object} { low, high } as fractions
+ */
+function wilsonInterval(score, battles, z = 1.96) {
+    if (battles === 0) {
+        return { low: 0, high: 1 };
+    }
+
+    const p = score / battles;
+    const denominator = 1 + z * z / battles;
+    const center = (p + z * z / (2 * battles)) / denominator;
+    const margin = z * Math.sqrt(p * (1 - p) / battles + z * z / (4 * battles * battles)) / denominator;
+
+    return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+}
+
+function runOptimizeMode(config) {
+    const generator = new ScenarioGenerator({ random: config.random });
+    const energy = config.energy || 3000;
+    const opponents = resolveOpponents(generator, config.opponents);
+    const iterations = Math.max(1, Math.floor((config.battles || 100) / opponents.length));
+    const recordRequest = { active: false, captured: false };
+
+    const optimizer = new CompositionOptimizer({
+        maxEnergy: energy,
+        populationSize: config.population,
+        random: config.random
+    });
+
+    // Fitness: overall score against the opponent set, wins plus half the draws
+    const evaluate = composition => {
+        const runs = opponents.map(opponent => runMatchup({
+            label: opponent.name,
+            playerComp: composition,
+            enemyComp: opponent.composition,
+            iterations,
+            config: { ...config, captureBattles: false },
+            generator,
+            recordRequest,
+            includeHeatmap: false
+        }));
+
+        const battles = runs.reduce((sum, run) => sum + run.summary.iterations, 0);
+        const score = runs.reduce((sum, run) => sum + run.summary.wins + run.summary.draws / 2, 0);
+
+        return {
+            fitness: battles > 0 ? score / battles : 0,
+            battles,
+            opponents: runs.map(run => ({ name: run.label, winRate: run.summary.winRate }))
+        };
+    };
+
+    // The predefined squads that fit the budget give the search a sensible starting point
+    const seeds = DEFAULT_OPPONENTS
+        .map(name => generator.getPredefinedComposition(name))
+        .filter(composition => optimizer.getCost(composition) <= energy);
+
+    const { best, history } = optimizer.evolve(evaluate, config.generations || 10, seeds, config.onGeneration);
+
+    return {
+        mode: 'optimize',
+        energy,
+        opponents: opponents.map(opponent => opponent.name),
+        evaluations: optimizer.fitnessCache.size,
+        history,
+        best: best.slice(0, config.top || 5)
     };
 }
 
-export function runSimulation(config) {
+function runCounterMode(config) {
+    if (!config.scenario) {
+        throw new Error('Counter mode needs the composition to beat (--scenario <name|file>)');
+    }
+
+    const generator = new ScenarioGenerator({ random: config.random });
+    const target = loadComposition(generator, config.scenario);
+    const energy = config.energy || 3000;
+    const battles = config.battles || 100;
+    const top = config.top || 5;
+    const recordRequest = { active: false, captured: false };
+
+    const optimizer = new CompositionOptimizer({
+        maxEnergy: energy,
+        populationSize: config.population,
+        random: config.random
+    });
+
+    // The search only needs a rough ranking; the finalists are re-tested with the full battle count
+    const evaluate = composition => {
+        const { summary } = runMatchup({
+            label: target.name,
+            playerComp: composition,
+            enemyComp: target.composition,
+            iterations: Math.max(1, Math.floor(battles / 10)),
+            config: { ...config, captureBattles: false },
+            generator,
+            recordRequest,
+            includeHeatmap: false
+        });
+
+        return { fitness: summary.iterations > 0 ? (summary.wins + summary.draws / 2) / summary.iterations : 0 };
+    };
+
+    const seeds = DEFAULT_OPPONENTS
+        .filter(name => name !== target.name)
+        .map(name => generator.getPredefinedComposition(name))
+        .filter(composition => optimizer.getCost(composition) <= energy);
+
+    const { best } = optimizer.evolve(evaluate, config.generations || 10, seeds, config.onGeneration);
+
+    const counters = best.slice(0, top * 2).map(candidate => {
+        const run = runMatchup({
+            label: target.name,
+            playerComp: candidate.composition,
+            enemyComp: target.composition,
+            iterations: battles,
+            config,
+            generator,
+            recordRequest,
+            includeHeatmap: false
+        });
+
+        const { wins, draws, iterations, winRate } = run.summary;
+        const score = wins + draws / 2;
+
+        return {
+            composition: candidate.composition,
+            cost: candidate.cost,
+            winRate,
+            score: iterations > 0 ? score / iterations : 0,
+            ...wilsonInterval(score, iterations),
+            run
+        };
+    });
+
+    // Rank by the pessimistic end of the interval, then by the cheaper squad
+    counters.sort((a, b) => b.low - a.low || a.cost - b.cost);
+    const finalists = counters.slice(0, top);
+    finalists.forEach((counter, i) => {
+        counter.run.label = `Counter #${i + 1} vs ${target.name}`;
+    });
+
+    return {
+        mode: 'counter',
+        target: target.name,
+        targetCost: optimizer.getCost(target.composition),
+        energy,
+        evaluations: optimizer.fitnessCache.size,
+        counters: finalists.map(({ run, ...counter }) => counter),
+        runs: finalists.map(counter => counter.run)
+    };
+}
+
+/**
+ * Check the per-side formation names
+ * @param {Object} formations - { player, enemy } formation names (either may be null)
+ * @returns {Object} { player, enemy }
+ */
+function resolveFormations(formations) {
+    const resolved = { player: formations?.player || null, enemy: formations?.enemy || null };
+
+    for (const name of Object.values(resolved)) {
+        if (name && !FORMATIONS.includes(name)) {
+            throw new Error(`Unknown formation "${name}". Available: ${FORMATIONS.join(', ')}`);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Check the per-side built-in AI profile names
+ * @param {Object} profiles - { player, enemy } profile names (either may be null)
+ * @returns {Object} { player, enemy }
+ */
+function resolveProfiles(profiles) {
+    const resolved = { player: profiles?.player || null, enemy: profiles?.enemy || null };
+
+    for (const name of Object.values(resolved)) {
+        getAIProfile(name); // Throws on unknown names
+    }
+
+    return resolved;
+}
+
+/**
+ * Load each side's strategy from a module path or strategy definition
+ * @param {Object} strategies - { player, enemy } paths or strategy definitions
+ * @returns {Promise<Object>} { player, enemy } strategies
+ */
+async function resolveStrategies(strategies) {
+    return {
+        player: await loadStrategy(strategies?.player, 'player'),
+        enemy: await loadStrategy(strategies?.enemy, 'enemy')
+    };
+}
+
+export async function runSimulation(config) {
+    // Every random decision in the run derives from this seed; report it so the run can be repeated
+    const seed = config.seed !== undefined && config.seed !== null ? normalizeSeed(config.seed) : randomSeed();
+
     const resolved = {
         mode: config.mode || 'quick',
         battles: config.battles,
@@ -496,21 +1225,138 @@ export function runSimulation(config) {
         verbose: config.verbose || false,
         entropy: config.entropy !== false,
         record: config.record || false,
-        heatmap: config.heatmap || false
+        heatmap: config.heatmap || false,
+        strategies: await resolveStrategies(config.strategies),
+        strategySources: config.strategies || null,
+        map: config.map ? loadMap(config.map) : null,
+        captureBattles: config.captureBattles || false,
+        workers: config.workers || 1,
+        rating: config.rating || 'elo',
+        ladder: config.ladder || null,
+        rounds: config.rounds || null,
+        energy: config.energy || null,
+        opponents: config.opponents || null,
+        generations: config.generations || null,
+        population: config.population || null,
+        top: config.top || null,
+        onGeneration: config.onGeneration || null,
+        formations: resolveFormations(config.formations),
+        squads: { player: Boolean(config.squads?.player), enemy: Boolean(config.squads?.enemy) },
+        profiles: resolveProfiles(config.profiles),
+        tactics: { player: loadTactics(config.tactics?.player), enemy: loadTactics(config.tactics?.enemy) },
+        seed,
+        random: createRandom(seed)
     };
 
+    let result;
     switch (resolved.mode) {
         case 'quick':
-            return runQuickMode(resolved);
+            result = runQuickMode(resolved);
+            break;
         case 'random':
-            return runRandomMode(resolved);
+            result = runRandomMode(resolved);
+            break;
         case 'predefined':
-            return runPredefinedMode(resolved);
+            result = runPredefinedMode(resolved);
+            break;
         case 'elo':
-            return runEloMode(resolved);
+            result = await runEloMode(resolved);
+            break;
+        case 'swiss':
+            result = await runSwissMode(resolved);
+            break;
+        case 'strategy':
+            result = runStrategyMode(resolved);
+            break;
+        case 'optimize':
+            result = runOptimizeMode(resolved);
+            break;
+        case 'counter':
+            result = runCounterMode(resolved);
+            break;
         default:
             throw new Error(`Unknown mode: ${resolved.mode}`);
     }
+
+    result.seed = seed;
+    return result;
+}
+
+/**
+ * Build a results file: run settings plus every battle's context, numbered across runs
+ * Requires a result produced with `captureBattles: true`.
+ * @param {Object} result - Result from runSimulation
+ * @param {Object} settings - { map, entropy, strategies, squads, profiles, tactics } as given on the command line
+ * @returns {Object} Serializable results
+ */
+export function exportResults(result, settings = {}) {
+    const battles = [];
+
+    for (const run of result.runs || []) {
+        for (const battle of run.battles || []) {
+            battles.push({ battle: battles.length, label: run.label, ...battle });
+        }
+    }
+
+    return {
+        mode: result.mode,
+        seed: result.seed,
+        map: settings.map || null,
+        entropy: settings.entropy !== false,
+        strategies: settings.strategies || { player: null, enemy: null },
+        squads: settings.squads || { player: false, enemy: false },
+        profiles: settings.profiles || { player: null, enemy: null },
+        tactics: settings.tactics || { player: null, enemy: null },
+        runs: (result.runs || []).map(run => ({ label: run.label, summary: run.summary })),
+        battles
+    };
+}
+
+/**
+ * Re-run one battle from a results file and record it
+ * @param {Object} saved - Results file contents (see exportResults)
+ * @param {number} battleNumber - Battle number in the file
+ * @param {Object} options - { strategies, verbose }
+ * @returns {Object} { battle, label, original, result, recording }
+ */
+export function replayBattle(saved, battleNumber, options = {}) {
+    const entry = saved.battles?.[battleNumber];
+    if (!entry) {
+        throw new Error(`Battle ${battleNumber} not found (results file has ${saved.battles?.length || 0} battles)`);
+    }
+
+    const { context } = entry;
+    if (!context?.compositions || !context?.startPositions) {
+        throw new Error(`Battle ${battleNumber} has no replay data; re-run with a newer simulator`);
+    }
+
+    const config = {
+        verbose: options.verbose || false,
+        entropy: saved.entropy !== false,
+        strategies: options.strategies || null,
+        squads: saved.squads || null,
+        profiles: saved.profiles || null,
+        tactics: { player: loadTactics(saved.tactics?.player), enemy: loadTactics(saved.tactics?.enemy) },
+        map: saved.map ? loadMap(saved.map) : null,
+        random: createRandom(context.seed ?? 0)
+    };
+
+    const generator = new ScenarioGenerator();
+    const engine = new CombatEngine(createEngineConfig(config, true));
+
+    const result = engine.replayBattle(context, (eng, battleContext) => {
+        const { compositions, spawns } = battleContext;
+        addSquad(eng, generator.createSquad(compositions.player, spawns.player.x, spawns.player.y, true));
+        addSquad(eng, generator.createSquad(compositions.enemy, spawns.enemy.x, spawns.enemy.y, false));
+    });
+
+    return {
+        battle: battleNumber,
+        label: entry.label,
+        original: { winner: entry.winner, ticks: entry.ticks },
+        result,
+        recording: engine.exportAllRecordings()
+    };
 }
 
 export {
@@ -520,5 +1366,6 @@ export {
     runQuickMode,
     runRandomMode,
     runPredefinedMode,
+    runStrategyMode,
     runEloMode
 };
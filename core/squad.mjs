@@ -0,0 +1,172 @@
+/**
+ * Squad - A group of creeps that moves as one unit
+ *
+ * Members keep the shape they spawned in: each has a fixed offset from the
+ * squad's anchor, and a move steps the anchor one tile along the leader's path
+ * with every member following to its own slot. The leader's path is planned so
+ * the whole shape fits (quad movement); if no such path exists, e.g. at a
+ * chokepoint narrower than the formation, the squad squeezes through along the
+ * leader's plain path. Moves only happen when no member is fatigued, so the
+ * squad travels at the pace of its slowest creep, and a member more than a
+ * tile out of place makes the others hold while it catches up.
+ */
+
+import { OK, ERR_TIRED, ERR_NO_PATH, ERR_NOT_FOUND } from './constants.mjs';
+import { searchPath } from './pathfinder.mjs';
+
+/**
+ * Chebyshev distance between two positions
+ * @param {Object} a - Position { x, y }
+ * @param {Object} b - Position { x, y }
+ * @returns {number} Range
+ */
+function getRange(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+export class Squad {
+    /**
+     * Create squad from creeps in their starting formation
+     * Offsets are measured from the first creep, which leads while alive.
+     * @param {string} id - Squad id
+     * @param {MockCreep[]} creeps - Members, leader first
+     */
+    constructor(id, creeps) {
+        if (creeps.length === 0) {
+            throw new Error(`Squad "${id}" has no members`);
+        }
+
+        const origin = creeps[0];
+        this.id = id;
+        this.my = origin.my;
+        this.members = creeps.map(creep => ({
+            creep,
+            offset: { x: creep.x - origin.x, y: creep.y - origin.y }
+        }));
+    }
+
+    /**
+     * Get members still alive, leader first
+     * @returns {Object[]} { creep, offset } entries
+     */
+    getMembers() {
+        return this.members.filter(member => member.creep.isAlive());
+    }
+
+    /**
+     * Get the leading member (the first one still alive)
+     * @returns {Object|null} { creep, offset } entry
+     */
+    getLeader() {
+        return this.members.find(member => member.creep.isAlive()) || null;
+    }
+
+    /**
+     * Get the formation origin implied by the leader's position
+     * @returns {Object|null} Anchor { x, y }, null once the squad is wiped out
+     */
+    getAnchor() {
+        const leader = this.getLeader();
+        return leader
+            ? { x: leader.creep.x - leader.offset.x, y: leader.creep.y - leader.offset.y }
+            : null;
+    }
+
+    /**
+     * Get the tile a member belongs on
+     * @param {Object} member - { creep, offset } entry
+     * @param {Object} anchor - Formation origin (default: the current anchor)
+     * @returns {Object} Slot { x, y }
+     */
+    getSlot(member, anchor = this.getAnchor()) {
+        return { x: anchor.x + member.offset.x, y: anchor.y + member.offset.y };
+    }
+
+    /**
+     * Check whether every member can move this tick
+     * @returns {boolean} True when no member is fatigued
+     */
+    isReady() {
+        return this.getMembers().every(member => member.creep.fatigue === 0);
+    }
+
+    /**
+     * Check whether every member is within a tile of its slot
+     * @returns {boolean} True if the squad holds its shape
+     */
+    isInFormation() {
+        const anchor = this.getAnchor();
+        return this.getMembers().every(member => getRange(member.creep, this.getSlot(member, anchor)) <= 1);
+    }
+
+    /**
+     * Plan one squad step toward a target
+     * Each move names the slot a member should head for; slots on walls are
+     * approached to within a tile.
+     * @param {Object} target - Position { x, y }
+     * @param {Terrain} terrain - Terrain to plan on
+     * @param {Object} options - { range (default 1), maxOps }
+     * @returns {Object} { code, moves: [{ creep, x, y, range }] }
+     */
+    planMove(target, terrain, options = {}) {
+        const leader = this.getLeader();
+        if (!leader) {
+            return { code: ERR_NOT_FOUND, moves: [] };
+        }
+        if (!this.isReady()) {
+            return { code: ERR_TIRED, moves: [] };
+        }
+
+        let anchor = this.getAnchor();
+
+        // Out of shape: everyone heads back to their slot before the squad advances
+        if (this.isInFormation()) {
+            const step = this.findLeaderStep(leader, target, terrain, options);
+            if (step === null) {
+                return { code: ERR_NO_PATH, moves: [] };
+            }
+            anchor = { x: anchor.x + step.x - leader.creep.x, y: anchor.y + step.y - leader.creep.y };
+        }
+
+        const moves = this.getMembers().map(member => {
+            const slot = this.getSlot(member, anchor);
+            return { creep: member.creep, x: slot.x, y: slot.y, range: terrain.isWalkable(slot.x, slot.y) ? 0 : 1 };
+        });
+
+        return { code: OK, moves };
+    }
+
+    /**
+     * Find the leader's next step, preferring paths the whole formation fits along
+     * @param {Object} leader - Leading { creep, offset } entry
+     * @param {Object} target - Position { x, y }
+     * @param {Terrain} terrain - Terrain to plan on
+     * @param {Object} options - { range (default 1), maxOps }
+     * @returns {Object|null} Next leader position (its current one when in range), null if stuck
+     */
+    findLeaderStep(leader, target, terrain, options) {
+        const range = options.range ?? 1;
+        if (getRange(leader.creep, target) <= range) {
+            return { x: leader.creep.x, y: leader.creep.y };
+        }
+
+        const goal = { x: target.x, y: target.y, range };
+        const members = this.getMembers();
+        const fits = (x, y) => members.every(member => terrain.isWalkable(
+            x - leader.offset.x + member.offset.x,
+            y - leader.offset.y + member.offset.y
+        ));
+
+        const shaped = searchPath(leader.creep, goal, {
+            terrain,
+            maxOps: options.maxOps,
+            isBlocked: (x, y) => !fits(x, y)
+        });
+        if (!shaped.incomplete && shaped.path.length > 0) {
+            return shaped.path[0];
+        }
+
+        const squeezed = searchPath(leader.creep, goal, { terrain, maxOps: options.maxOps });
+        return squeezed.path[0] || null;
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Strategy - Pluggable per-team AI interface for the combat engine
+ *
+ * A strategy is either a function `(world) => intents` or an object:
+ *
+ *   {
+ *       name: 'my-bot',
+ *       init(world) {},          // optional, called once at battle start
+ *       tick(world) { return [] } // called once per tick, returns intents
+ *   }
+ *
+ * Intents are plain objects naming the acting creep and a target:
+ *
+ *   { creep: 'player_Ranger_0', type: 'rangedAttack', target: 'enemy_Berserker_1' }
+ *   { creep: 'player_Ranger_0', type: 'move', target: { x: 10, y: 12 } }
+ *   { creep: 'player_Ranger_0', type: 'rangedMassAttack' }  // no target needed
+ *
+ * Each side's creeps also form a squad (`world.mySquad`) that can be moved as a
+ * unit, keeping its starting formation and waiting for fatigued members:
+ *
+ *   { type: 'squadMove', target: 'enemy_Medic_4', range: 3 }  // replaces the members' moves
+ *
+ * On maps with structures, `world.structures` lists them. A side's towers take
+ * `attack` and `heal` intents under their own id, and creeps can attack any
+ * structure:
+ *
+ *   { creep: 'player_tower_0', type: 'attack', target: 'enemy_Berserker_1' }
+ *   { creep: 'player_Berserker_0', type: 'attack', target: 'enemy_rampart_3' }
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { registerArenaModules, createArenaStrategy } from '../arena/arena-strategy.mjs';
+import { STRUCTURE_TOWER } from './constants.mjs';
+
+export const INTENT_TYPES = ['attack', 'rangedAttack', 'rangedMassAttack', 'heal', 'rangedHeal', 'move', 'squadMove'];
+
+/**
+ * Normalize a strategy definition into { name, init, tick }
+ * @param {Function|Object} strategy - Strategy function or object
+ * @param {string} fallbackName - Name to use when the strategy has none
+ * @returns {Object|null} Normalized strategy or null for the built-in AI
+ */
+export function normalizeStrategy(strategy, fallbackName = 'custom') {
+    if (!strategy) {
+        return null;
+    }
+
+    if (typeof strategy === 'function') {
+        return {
+            name: strategy.name || fallbackName,
+            init: null,
+            tick: strategy
+        };
+    }
+
+    if (typeof strategy !== 'object' || typeof strategy.tick !== 'function') {
+        throw new Error(`Strategy "${fallbackName}" must be a function or an object with a tick(world) method`);
+    }
+
+    return {
+        name: strategy.name || fallbackName,
+        init: typeof strategy.init === 'function' ? strategy.init.bind(strategy) : null,
+        tick: strategy.tick.bind(strategy)
+    };
+}
+
+/**
+ * Load a strategy from a module path
+ * The module may export a default strategy, a named `strategy`, a `tick` function,
+ * or an Arena `loop` function (run through the game API shim in arena/).
+ * @param {string|Object|Function} specifier - Module path or strategy definition
+ * @param {string} instanceKey - Optional key giving this side its own copy of the module
+ * @returns {Promise<Object|null>} Normalized strategy
+ */
+export async function loadStrategy(specifier, instanceKey = null) {
+    if (!specifier) {
+        return null;
+    }
+
+    if (typeof specifier !== 'string') {
+        return normalizeStrategy(specifier);
+    }
+
+    // Arena bots import from 'game/*', which only resolves once the shim is registered
+    registerArenaModules();
+
+    const url = pathToFileURL(path.resolve(specifier));
+    if (instanceKey) {
+        url.searchParams.set('instance', instanceKey);
+    }
+
+    const mod = await import(url.href);
+    const name = path.basename(specifier, path.extname(specifier));
+
+    if (typeof mod.loop === 'function') {
+        return normalizeStrategy(createArenaStrategy(mod.loop, name));
+    }
+
+    const definition = mod.default ?? mod.strategy ?? (typeof mod.tick === 'function' ? mod : null);
+
+    if (!definition) {
+        throw new Error(`Strategy module "${specifier}" has no default export, "strategy" export, tick() or loop() function`);
+    }
+
+    return normalizeStrategy(definition, name);
+}
+
+/**
+ * Create a read-only snapshot of a creep for strategies
+ * @param {MockCreep} creep - Creep to snapshot
+ * @param {boolean} perspective - Side looking at the creep (`my` is relative to it)
+ * @returns {Object} Frozen creep view
+ */
+export function createCreepView(creep, perspective = true) {
+    const body = Object.freeze(creep.body.map(part => Object.freeze({ type: part.type, hits: part.hits, boost: part.boost })));
+
+    return Object.freeze({
+        id: creep.id,
+        name: creep.name,
+        x: creep.x,
+        y: creep.y,
+        my: creep.my === perspective,
+        hits: creep.hits,
+        hitsMax: creep.hitsMax,
+        fatigue: creep.fatigue,
+        body,
+        getActiveBodyParts(type) {
+            return body.filter(part => part.type === type && part.hits > 0).length;
+        },
+        getRangeTo(target) {
+            return Math.max(Math.abs(this.x - target.x), Math.abs(this.y - target.y));
+        }
+    });
+}
+
+/**
+ * Create a read-only snapshot of a structure for strategies
+ * @param {MockStructure} structure - Structure to snapshot
+ * @param {boolean} perspective - Side looking at the structure (`my` is relative to it, undefined for walls)
+ * @returns {Object} Frozen structure view
+ */
+export function createStructureView(structure, perspective = true) {
+    const view = {
+        id: structure.id,
+        structureType: structure.structureType,
+        x: structure.x,
+        y: structure.y,
+        my: structure.my === undefined ? undefined : structure.my === perspective,
+        hits: structure.hits,
+        hitsMax: structure.hitsMax
+    };
+
+    if (structure.structureType === STRUCTURE_TOWER) {
+        view.energy = structure.energy;
+        view.cooldown = structure.cooldown;
+    }
+
+    return Object.freeze(view);
+}
+
+/**
+ * Create a read-only snapshot of a squad for strategies
+ * @param {Squad|null} squad - Squad to snapshot
+ * @returns {Object|null} Frozen squad view, null if the side has no squad left
+ */
+export function createSquadView(squad) {
+    const anchor = squad?.getAnchor();
+    if (!anchor) {
+        return null;
+    }
+
+    const members = squad.getMembers().map(member => Object.freeze({
+        id: member.creep.id,
+        offset: Object.freeze({ ...member.offset }),
+        slot: Object.freeze(squad.getSlot(member, anchor))
+    }));
+
+    return Object.freeze({
+        id: squad.id,
+        leader: members[0].id,
+        anchor: Object.freeze(anchor),
+        members: Object.freeze(members),
+        ready: squad.isReady(),
+        inFormation: squad.isInFormation()
+    });
+}
+
+/**
+ * Build the read-only world view handed to a strategy each tick
+ * Creeps are reported relative to the side: `myCreeps` are the strategy's own.
+ * @param {CombatEngine} engine - Engine instance
+ * @param {boolean} my - Side the strategy controls
+ * @returns {Object} Frozen world view
+ */
+export function createWorldView(engine, my) {
+    const terrain = engine.terrain;
+    const myCreeps = Object.freeze(engine.getAliveCreeps(my).map(c => createCreepView(c, my)));
+    const enemyCreeps = Object.freeze(engine.getAliveCreeps(!my).map(c => createCreepView(c, my)));
+
+    return Object.freeze({
+        tick: engine.tick,
+        side: my ? 'player' : 'enemy',
+        myCreeps,
+        enemyCreeps,
+        mySquad: createSquadView(engine.getSquad(my)),
+        structures: Object.freeze(engine.getAliveStructures().map(s => createStructureView(s, my))),
+        terrain: Object.freeze({
+            width: terrain.width,
+            height: terrain.height,
+            getCost: (x, y) => terrain.getCost(x, y),
+            isWalkable: (x, y) => terrain.isWalkable(x, y)
+        }),
+        getRange(a, b) {
+            return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+        },
+        isOccupied(x, y) {
+            return Boolean(engine.isOccupied(x, y));
+        },
+        searchPath(origin, goals, options = {}) {
+            return engine.searchPath(origin, goals, { costMatrix: engine.getStructureMatrix(my), ...options });
+        },
+        findFleePath(creep, threats, options = {}) {
+            return engine.findFleePath(creep, threats, options);
+        }
+    });
+}
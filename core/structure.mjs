@@ -0,0 +1,303 @@
+/**
+ * Structures - Towers, ramparts and constructed walls
+ *
+ * Structures take damage the way creeps do (queued during the tick, applied
+ * with everything else at its end) but have no body, so nothing reduces the
+ * damage and nothing heals them. Towers and walls block every creep; a
+ * rampart only blocks the other side, and a creep standing on its own
+ * rampart is protected by it: attacks aimed at the creep hit the rampart.
+ *
+ * Towers spend TOWER_ENERGY_COST energy per attack or heal and then wait
+ * TOWER_COOLDOWN ticks. Their power is full up to TOWER_OPTIMAL_RANGE and
+ * falls off linearly to (1 - TOWER_FALLOFF) at TOWER_FALLOFF_RANGE and beyond.
+ */
+
+import {
+    STRUCTURE_TOWER, STRUCTURE_RAMPART, STRUCTURE_WALL,
+    TOWER_HITS, RAMPART_HITS_MAX, WALL_HITS_MAX,
+    TOWER_CAPACITY, TOWER_ENERGY_COST, TOWER_POWER_ATTACK, TOWER_POWER_HEAL,
+    TOWER_RANGE, TOWER_OPTIMAL_RANGE, TOWER_FALLOFF_RANGE, TOWER_FALLOFF, TOWER_COOLDOWN,
+    OK, ERR_TIRED, ERR_NOT_ENOUGH_ENERGY, ERR_INVALID_TARGET, ERR_NOT_IN_RANGE
+} from './constants.mjs';
+
+/**
+ * Tower power at a range, after falloff
+ * @param {number} basePower - Power at optimal range (TOWER_POWER_ATTACK or TOWER_POWER_HEAL)
+ * @param {number} range - Range to the target
+ * @returns {number} Damage or healing
+ */
+export function getTowerPower(basePower, range) {
+    if (range <= TOWER_OPTIMAL_RANGE) {
+        return basePower;
+    }
+
+    const falloff = (Math.min(range, TOWER_FALLOFF_RANGE) - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE);
+    return Math.floor(basePower * (1 - TOWER_FALLOFF * falloff));
+}
+
+/**
+ * Check the preconditions of a tower attack or heal
+ * Works on StructureTower instances and on read-only structure views alike.
+ * @param {Object} tower - Tower (needs x, y, energy and cooldown)
+ * @param {Object} target - Target with x, y and hits
+ * @returns {number} OK or error code
+ */
+export function validateTowerAction(tower, target) {
+    if (!target || !(target.hits > 0)) {
+        return ERR_INVALID_TARGET;
+    }
+    if (tower.cooldown > 0) {
+        return ERR_TIRED;
+    }
+    if (tower.energy < TOWER_ENERGY_COST) {
+        return ERR_NOT_ENOUGH_ENERGY;
+    }
+
+    const range = Math.max(Math.abs(tower.x - target.x), Math.abs(tower.y - target.y));
+    return range > TOWER_RANGE ? ERR_NOT_IN_RANGE : OK;
+}
+
+export class MockStructure {
+    /**
+     * Create a structure
+     * @param {string} id - Unique identifier
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} structureType - STRUCTURE_TOWER, STRUCTURE_RAMPART or STRUCTURE_WALL
+     * @param {number} hitsMax - Maximum hits
+     * @param {boolean} my - Owning side (undefined for unowned structures)
+     * @param {number} hits - Starting hits (defaults to hitsMax)
+     */
+    constructor(id, x, y, structureType, hitsMax, my = undefined, hits = hitsMax) {
+        this.id = id;
+        this.x = x;
+        this.y = y;
+        this.structureType = structureType;
+        this.my = my;
+        this.hitsMax = hitsMax;
+        this.hits = Math.min(hits, hitsMax);
+
+        this.pendingDamage = 0;
+        this.damageTaken = 0;
+    }
+
+    /**
+     * Calculate range to target using Chebyshev distance
+     * @param {Object} target - Target with x, y coordinates
+     * @returns {number} Range to target
+     */
+    getRangeTo(target) {
+        return Math.max(Math.abs(this.x - target.x), Math.abs(this.y - target.y));
+    }
+
+    /**
+     * Check whether a creep of a side is kept off this structure's tile
+     * @param {boolean} my - The creep's side
+     * @returns {boolean} True if the tile can't be entered
+     */
+    isObstacleFor(my) {
+        return true;
+    }
+
+    /**
+     * Queue damage to be applied at the end of the tick
+     * @param {number} damage - Amount of damage
+     * @returns {number} Damage taken (structures have no reduction)
+     */
+    queueDamage(damage) {
+        this.pendingDamage += damage;
+        return damage;
+    }
+
+    /**
+     * Apply the damage queued this tick
+     */
+    applyPendingEffects() {
+        this.hits = Math.max(0, this.hits - this.pendingDamage);
+        this.damageTaken += this.pendingDamage;
+        this.pendingDamage = 0;
+    }
+
+    /**
+     * Check if structure is still standing
+     * @returns {boolean} True if structure has hits remaining
+     */
+    isAlive() {
+        return this.hits > 0;
+    }
+
+    /**
+     * Get summary statistics
+     * @returns {Object} Stats summary
+     */
+    getStats() {
+        return {
+            id: this.id,
+            structureType: this.structureType,
+            alive: this.isAlive(),
+            hits: this.hits,
+            hitsMax: this.hitsMax,
+            damageTaken: this.damageTaken,
+            x: this.x,
+            y: this.y
+        };
+    }
+}
+
+export class StructureTower extends MockStructure {
+    /**
+     * Create a tower
+     * @param {string} id - Unique identifier
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} my - Owning side
+     * @param {Object} options - { hits, energy } (default: full hits and energy)
+     */
+    constructor(id, x, y, my, options = {}) {
+        super(id, x, y, STRUCTURE_TOWER, TOWER_HITS, my, options.hits ?? TOWER_HITS);
+        this.energy = Math.min(options.energy ?? TOWER_CAPACITY, TOWER_CAPACITY);
+        this.cooldown = 0;
+
+        // Action registered this tick: a tower attacks or heals, the last call wins
+        this.intent = null;
+
+        this.damageDealt = 0;
+        this.healingDone = 0;
+    }
+
+    /**
+     * Attack a creep or structure in range
+     * @param {Object} target - Target creep or structure
+     * @returns {number} OK or error code
+     */
+    attack(target) {
+        return this.registerAction('attack', target);
+    }
+
+    /**
+     * Heal a creep in range
+     * @param {MockCreep} target - Target creep
+     * @returns {number} OK or error code
+     */
+    heal(target) {
+        if (target?.structureType) {
+            return ERR_INVALID_TARGET;
+        }
+        return this.registerAction('heal', target);
+    }
+
+    /**
+     * Validate and record this tick's action
+     * @param {string} type - 'attack' or 'heal'
+     * @param {Object} target - Target
+     * @returns {number} OK or error code
+     */
+    registerAction(type, target) {
+        const result = validateTowerAction(this, target);
+        if (result === OK) {
+            this.intent = { type, target };
+        }
+        return result;
+    }
+
+    /**
+     * Execute this tick's action, queueing its damage or healing on the target
+     * @returns {Object[]} Executed actions: { type, target }
+     */
+    resolveActions() {
+        const intent = this.intent;
+        this.intent = null;
+
+        if (!intent) {
+            return [];
+        }
+
+        const { type, target } = intent;
+        const range = this.getRangeTo(target);
+
+        if (type === 'attack') {
+            this.damageDealt += target.queueDamage(getTowerPower(TOWER_POWER_ATTACK, range));
+        } else {
+            const healing = getTowerPower(TOWER_POWER_HEAL, range);
+            target.queueHealing(healing);
+            this.healingDone += healing;
+        }
+
+        this.energy -= TOWER_ENERGY_COST;
+        this.cooldown = TOWER_COOLDOWN;
+        return [{ type, target }];
+    }
+
+    /**
+     * Count down the cooldown (called at start of each tick)
+     */
+    reduceCooldown() {
+        this.cooldown = Math.max(0, this.cooldown - 1);
+    }
+
+    /**
+     * Get summary statistics
+     * @returns {Object} Stats summary
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            energy: this.energy,
+            damageDealt: this.damageDealt,
+            healingDone: this.healingDone
+        };
+    }
+}
+
+export class StructureRampart extends MockStructure {
+    /**
+     * Create a rampart
+     * @param {string} id - Unique identifier
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {boolean} my - Owning side
+     * @param {Object} options - { hits } (default: RAMPART_HITS_MAX)
+     */
+    constructor(id, x, y, my, options = {}) {
+        super(id, x, y, STRUCTURE_RAMPART, RAMPART_HITS_MAX, my, options.hits ?? RAMPART_HITS_MAX);
+    }
+
+    isObstacleFor(my) {
+        return my !== this.my;
+    }
+}
+
+export class StructureWall extends MockStructure {
+    /**
+     * Create a constructed wall (unowned)
+     * @param {string} id - Unique identifier
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - { hits } (default: WALL_HITS_MAX)
+     */
+    constructor(id, x, y, options = {}) {
+        super(id, x, y, STRUCTURE_WALL, WALL_HITS_MAX, undefined, options.hits ?? WALL_HITS_MAX);
+    }
+}
+
+/**
+ * Build a structure from a map definition
+ * @param {Object} definition - { type, x, y, owner, hits, energy } (owner is 'player' or 'enemy', unused for walls)
+ * @param {number} index - Position in the map's structure list (keeps ids unique)
+ * @returns {MockStructure} Structure
+ */
+export function createStructure(definition, index) {
+    const { type, x, y, owner } = definition;
+    const id = owner && type !== STRUCTURE_WALL ? `${owner}_${type}_${index}` : `${type}_${index}`;
+
+    switch (type) {
+        case STRUCTURE_TOWER:
+            return new StructureTower(id, x, y, owner === 'player', definition);
+        case STRUCTURE_RAMPART:
+            return new StructureRampart(id, x, y, owner === 'player', definition);
+        case STRUCTURE_WALL:
+            return new StructureWall(id, x, y, definition);
+        default:
+            throw new Error(`Unknown structure type: ${type}`);
+    }
+}
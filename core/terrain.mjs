@@ -10,6 +10,19 @@ import {
     FATIGUE_COST_SWAMP
 } from './constants.mjs';
 
+// Characters used by the ASCII map format
+const ASCII_TILES = {
+    '.': 'plain',
+    '~': 'swamp',
+    '#': 'wall'
+};
+
+const ASCII_CHARS = {
+    [TERRAIN_PLAIN]: '.',
+    [TERRAIN_SWAMP]: '~',
+    [TERRAIN_WALL]: '#'
+};
+
 export class Terrain {
     /**
      * Create terrain map
@@ -26,6 +39,66 @@ export class Terrain {
         this.terrainMap = {};
     }
 
+    /**
+     * Build terrain from a 2D grid of terrain types (the format toGrid produces)
+     * @param {number[][]} grid - Rows of TERRAIN_PLAIN, TERRAIN_SWAMP or TERRAIN_WALL
+     * @returns {Terrain} Terrain instance
+     */
+    static fromGrid(grid) {
+        const height = grid.length;
+        const width = height > 0 ? grid[0].length : 0;
+        const terrain = new Terrain(width, height, 'plain');
+
+        grid.forEach((row, y) => {
+            if (row.length !== width) {
+                throw new Error(`Terrain grid row ${y} has ${row.length} tiles, expected ${width}`);
+            }
+
+            row.forEach((value, x) => {
+                if (value === TERRAIN_WALL) {
+                    terrain.setTerrain(x, y, 'wall');
+                } else if (value === TERRAIN_SWAMP) {
+                    terrain.setTerrain(x, y, 'swamp');
+                } else if (value !== TERRAIN_PLAIN) {
+                    throw new Error(`Unknown terrain type ${value} at ${x},${y}`);
+                }
+            });
+        });
+
+        return terrain;
+    }
+
+    /**
+     * Build terrain from ASCII art: '#' wall, '~' swamp, '.' plain
+     * Blank lines and trailing whitespace are ignored.
+     * @param {string} text - One line per row
+     * @returns {Terrain} Terrain instance
+     */
+    static fromAscii(text) {
+        const rows = text.split(/\r?\n/).map(row => row.trimEnd()).filter(row => row.length > 0);
+        const height = rows.length;
+        const width = height > 0 ? rows[0].length : 0;
+        const terrain = new Terrain(width, height, 'plain');
+
+        rows.forEach((row, y) => {
+            if (row.length !== width) {
+                throw new Error(`Terrain row ${y} has ${row.length} tiles, expected ${width}`);
+            }
+
+            for (let x = 0; x < width; x++) {
+                const type = ASCII_TILES[row[x]];
+                if (!type) {
+                    throw new Error(`Unknown terrain character "${row[x]}" at ${x},${y}`);
+                }
+                if (type !== 'plain') {
+                    terrain.setTerrain(x, y, type);
+                }
+            }
+        });
+
+        return terrain;
+    }
+
     /**
      * Create a deep copy of this terrain instance
      * @returns {Terrain} Cloned terrain
@@ -109,4 +182,14 @@ export class Terrain {
 
         return grid;
     }
+
+    /**
+     * Export terrain as ASCII art ('#' wall, '~' swamp, '.' plain), the inverse of fromAscii
+     * @returns {string} One line per row
+     */
+    toAscii() {
+        return this.toGrid()
+            .map(row => row.map(type => ASCII_CHARS[type]).join(''))
+            .join('\n');
+    }
 }
@@ -2,6 +2,21 @@
  * ELO Rating System - Rate squad composition effectiveness
  */
 
+/**
+ * Score for the player side of one battle
+ * @param {string} winner - Winner ('player', 'enemy', or 'draw')
+ * @returns {number} 1 = win, 0.5 = draw, 0 = loss
+ */
+function battleScore(winner) {
+    if (winner === 'player') {
+        return 1;
+    }
+    if (winner === 'enemy') {
+        return 0;
+    }
+    return 0.5; // Draw
+}
+
 export class ELOSystem {
     /**
      * Create ELO rating system
@@ -57,6 +72,17 @@ export class ELOSystem {
         const statsA = this.ratings.get(compositionA);
         const statsB = this.ratings.get(compositionB);
 
+        this.adjustRatings(statsA, statsB, scoreA);
+        this.recordOutcome(statsA, statsB, scoreA, battleResults);
+    }
+
+    /**
+     * Move both ratings toward an observed score
+     * @param {Object} statsA - Stats of composition A
+     * @param {Object} statsB - Stats of composition B
+     * @param {number} scoreA - Actual score for A, from 0 (lost everything) to 1 (won everything)
+     */
+    adjustRatings(statsA, statsB, scoreA) {
         const ratingA = statsA.rating;
         const ratingB = statsB.rating;
 
@@ -68,12 +94,42 @@ export class ELOSystem {
         const scoreB = 1 - scoreA;
 
         // Update ratings
-        const newRatingA = ratingA + this.kFactor * (scoreA - expectedA);
-        const newRatingB = ratingB + this.kFactor * (scoreB - expectedB);
+        statsA.rating = ratingA + this.kFactor * (scoreA - expectedA);
+        statsB.rating = ratingB + this.kFactor * (scoreB - expectedB);
+    }
+
+    /**
+     * Record a whole matchup: one rating update from the fractional score
+     * (wins + half the draws, over all battles), with every battle counted in the stats
+     * @param {string} compositionA - ID of composition A (player)
+     * @param {string} compositionB - ID of composition B (enemy)
+     * @param {Object[]} battles - Battle results ({ winner, ticks, player, enemy })
+     */
+    recordMatchup(compositionA, compositionB, battles) {
+        if (battles.length === 0) {
+            return;
+        }
+
+        this.initializeComposition(compositionA);
+        this.initializeComposition(compositionB);
 
-        statsA.rating = newRatingA;
-        statsB.rating = newRatingB;
+        const statsA = this.ratings.get(compositionA);
+        const statsB = this.ratings.get(compositionB);
+        const scores = battles.map(battle => battleScore(battle.winner));
+        const scoreA = scores.reduce((sum, score) => sum + score, 0) / battles.length;
+
+        this.adjustRatings(statsA, statsB, scoreA);
+        battles.forEach((battle, i) => this.recordOutcome(statsA, statsB, scores[i], battle));
+    }
 
+    /**
+     * Update win/loss/draw counts and detailed stats for both compositions
+     * @param {Object} statsA - Stats of composition A
+     * @param {Object} statsB - Stats of composition B
+     * @param {number} scoreA - Actual score for A (1 = win, 0.5 = draw, 0 = loss)
+     * @param {Object} battleResults - Detailed battle results (optional)
+     */
+    recordOutcome(statsA, statsB, scoreA, battleResults = null) {
         // Update battle statistics
         statsA.battles++;
         statsB.battles++;
@@ -112,17 +168,7 @@ export class ELOSystem {
      * @param {Object} battleResults - Detailed battle results
      */
     recordBattle(compositionA, compositionB, winner, battleResults = null) {
-        let scoreA;
-
-        if (winner === 'player') {
-            scoreA = 1;
-        } else if (winner === 'enemy') {
-            scoreA = 0;
-        } else {
-            scoreA = 0.5; // Draw
-        }
-
-        this.updateRatings(compositionA, compositionB, scoreA, battleResults);
+        this.updateRatings(compositionA, compositionB, battleScore(winner), battleResults);
     }
 
     /**
@@ -0,0 +1,160 @@
+/**
+ * Glicko-2 Rating System - Composition ratings with uncertainty
+ *
+ * Each composition carries a rating deviation (RD) next to its rating: it
+ * starts high and shrinks as the composition plays, so a composition that has
+ * only played a few matchups shows a wide confidence interval instead of a
+ * misleadingly precise number. Every recorded result (a battle, or a whole
+ * matchup's fractional score) is treated as its own rating period (Glickman,
+ * "Example of the Glicko-2 system").
+ */
+
+import { ELOSystem } from './elo-system.mjs';
+
+// Converts between the Glicko scale (1500 +/- 350) and the internal Glicko-2 scale
+const GLICKO2_SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+const CONFIDENCE_Z = 1.96; // 95% interval
+
+export class Glicko2System extends ELOSystem {
+    /**
+     * Create Glicko-2 rating system
+     * @param {number} startingRating - Initial rating for new compositions (default 1500)
+     * @param {number} startingDeviation - Initial rating deviation (default 350)
+     * @param {number} startingVolatility - Initial volatility (default 0.06)
+     * @param {number} tau - Constrains volatility change between periods (default 0.5)
+     */
+    constructor(startingRating = 1500, startingDeviation = 350, startingVolatility = 0.06, tau = 0.5) {
+        super(0, startingRating);
+        this.startingDeviation = startingDeviation;
+        this.startingVolatility = startingVolatility;
+        this.tau = tau;
+    }
+
+    /**
+     * Initialize composition if not exists
+     * @param {string} compositionId - Unique composition identifier
+     */
+    initializeComposition(compositionId) {
+        if (!this.ratings.has(compositionId)) {
+            super.initializeComposition(compositionId);
+            const stats = this.ratings.get(compositionId);
+            stats.deviation = this.startingDeviation;
+            stats.volatility = this.startingVolatility;
+        }
+    }
+
+    /**
+     * Move both ratings toward an observed score
+     * @param {Object} statsA - Stats of composition A
+     * @param {Object} statsB - Stats of composition B
+     * @param {number} scoreA - Actual score for A, from 0 (lost everything) to 1 (won everything)
+     */
+    adjustRatings(statsA, statsB, scoreA) {
+        // Both sides update from their pre-battle ratings
+        const nextA = this.calculateUpdate(statsA, statsB, scoreA);
+        const nextB = this.calculateUpdate(statsB, statsA, 1 - scoreA);
+
+        Object.assign(statsA, nextA);
+        Object.assign(statsB, nextB);
+    }
+
+    /**
+     * Calculate a composition's new rating, deviation and volatility after one result
+     * @param {Object} stats - Stats of the composition being updated
+     * @param {Object} opponent - Stats of its opponent
+     * @param {number} score - Actual score, from 0 to 1
+     * @returns {Object} { rating, deviation, volatility }
+     */
+    calculateUpdate(stats, opponent, score) {
+        const mu = (stats.rating - this.startingRating) / GLICKO2_SCALE;
+        const phi = stats.deviation / GLICKO2_SCALE;
+        const opponentMu = (opponent.rating - this.startingRating) / GLICKO2_SCALE;
+        const opponentPhi = opponent.deviation / GLICKO2_SCALE;
+
+        const g = 1 / Math.sqrt(1 + 3 * opponentPhi * opponentPhi / (Math.PI * Math.PI));
+        const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+        const variance = 1 / (g * g * expected * (1 - expected));
+        const delta = variance * g * (score - expected);
+
+        const volatility = this.calculateVolatility(phi, stats.volatility, variance, delta);
+        const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+        const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / variance);
+        const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+        return {
+            rating: newMu * GLICKO2_SCALE + this.startingRating,
+            deviation: newPhi * GLICKO2_SCALE,
+            volatility
+        };
+    }
+
+    /**
+     * Solve for the new volatility (Illinois algorithm, step 5 of the paper)
+     * @param {number} phi - Rating deviation on the Glicko-2 scale
+     * @param {number} sigma - Current volatility
+     * @param {number} variance - Estimated variance of the rating from this result
+     * @param {number} delta - Estimated rating improvement from this result
+     * @returns {number} New volatility
+     */
+    calculateVolatility(phi, sigma, variance, delta) {
+        const a = Math.log(sigma * sigma);
+        const tauSquared = this.tau * this.tau;
+        const f = x => {
+            const ex = Math.exp(x);
+            const denominator = phi * phi + variance + ex;
+            return ex * (delta * delta - phi * phi - variance - ex) / (2 * denominator * denominator) - (x - a) / tauSquared;
+        };
+
+        let lower = a;
+        let upper;
+
+        if (delta * delta > phi * phi + variance) {
+            upper = Math.log(delta * delta - phi * phi - variance);
+        } else {
+            let k = 1;
+            while (f(a - k * this.tau) < 0) {
+                k++;
+            }
+            upper = a - k * this.tau;
+        }
+
+        let fLower = f(lower);
+        let fUpper = f(upper);
+
+        while (Math.abs(upper - lower) > CONVERGENCE_TOLERANCE) {
+            const candidate = lower + (lower - upper) * fLower / (fUpper - fLower);
+            const fCandidate = f(candidate);
+
+            if (fCandidate * fUpper <= 0) {
+                lower = upper;
+                fLower = fUpper;
+            } else {
+                fLower /= 2;
+            }
+
+            upper = candidate;
+            fUpper = fCandidate;
+        }
+
+        return Math.exp(lower / 2);
+    }
+
+    /**
+     * Get leaderboard sorted by rating, with rating deviation and 95% interval
+     * @param {number} limit - Maximum entries to return (0 = all)
+     * @returns {Object[]} Sorted leaderboard
+     */
+    getLeaderboard(limit = 0) {
+        return super.getLeaderboard(limit).map(entry => {
+            const { rating, deviation } = this.ratings.get(entry.id);
+
+            return {
+                ...entry,
+                deviation: Math.round(deviation),
+                low: Math.round(rating - CONFIDENCE_Z * deviation),
+                high: Math.round(rating + CONFIDENCE_Z * deviation)
+            };
+        });
+    }
+}
@@ -6,7 +6,13 @@
 
 import fs from 'fs';
 import path from 'path';
-import { runSimulation } from './core/simulation-runner.mjs';
+import { runSimulation, exportResults, replayBattle } from './core/simulation-runner.mjs';
+import { loadStrategy } from './core/strategy.mjs';
+import { listMaps } from './core/map-loader.mjs';
+import { listCompositions } from './scenarios/composition-loader.mjs';
+import { FORMATIONS } from './scenarios/scenario-generator.mjs';
+import { AI_PROFILES } from './core/ai-profiles.mjs';
+import { listTactics } from './core/behavior-tree.mjs';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -17,7 +23,31 @@ const config = {
     scenario: null,
     verbose: false,
     record: null,
-    entropy: true
+    entropy: true,
+    playerStrategy: null,
+    enemyStrategy: null,
+    map: null,
+    seed: null,
+    results: null,
+    replay: null,
+    battle: null,
+    workers: 1,
+    rating: 'elo',
+    ladder: null,
+    rounds: null,
+    energy: 3000,
+    opponents: null,
+    generations: 10,
+    population: 16,
+    top: 5,
+    playerFormation: null,
+    enemyFormation: null,
+    playerSquad: false,
+    enemySquad: false,
+    playerAI: null,
+    enemyAI: null,
+    playerTactics: null,
+    enemyTactics: null
 };
 
 for (let i = 0; i < args.length; i++) {
@@ -37,6 +67,78 @@ for (let i = 0; i < args.length; i++) {
         case '--record':
             config.record = args[++i] || 'recordings/battle-recording.json';
             break;
+        case '--player-strategy':
+            config.playerStrategy = args[++i];
+            break;
+        case '--enemy-strategy':
+            config.enemyStrategy = args[++i];
+            break;
+        case '--player-formation':
+            config.playerFormation = args[++i];
+            break;
+        case '--enemy-formation':
+            config.enemyFormation = args[++i];
+            break;
+        case '--player-ai':
+            config.playerAI = args[++i];
+            break;
+        case '--enemy-ai':
+            config.enemyAI = args[++i];
+            break;
+        case '--player-tactics':
+            config.playerTactics = args[++i];
+            break;
+        case '--enemy-tactics':
+            config.enemyTactics = args[++i];
+            break;
+        case '--player-squad':
+            config.playerSquad = true;
+            break;
+        case '--enemy-squad':
+            config.enemySquad = true;
+            break;
+        case '--map':
+            config.map = args[++i];
+            break;
+        case '--seed':
+            config.seed = args[++i];
+            break;
+        case '--results':
+            config.results = args[++i];
+            break;
+        case '--replay':
+            config.replay = args[++i];
+            break;
+        case '--battle':
+            config.battle = parseInt(args[++i], 10);
+            break;
+        case '--workers':
+            config.workers = parseInt(args[++i], 10);
+            break;
+        case '--rating':
+            config.rating = args[++i];
+            break;
+        case '--ladder':
+            config.ladder = args[++i];
+            break;
+        case '--rounds':
+            config.rounds = parseInt(args[++i], 10);
+            break;
+        case '--energy':
+            config.energy = parseInt(args[++i], 10);
+            break;
+        case '--opponents':
+            config.opponents = args[++i].split(',').map(name => name.trim()).filter(Boolean);
+            break;
+        case '--generations':
+            config.generations = parseInt(args[++i], 10);
+            break;
+        case '--population':
+            config.population = parseInt(args[++i], 10);
+            break;
+        case '--top':
+            config.top = parseInt(args[++i], 10);
+            break;
         case '--no-entropy':
             config.entropy = false;
             break;
@@ -61,14 +163,44 @@ Modes:
   quick           Run quick test of predefined scenarios (default)
   random          Generate and test random compositions
   elo             Generate ELO ratings for multiple compositions
+  swiss           Rate many compositions in Swiss rounds of rating-matched pairs
   predefined      Test specific predefined scenario
+  strategy        Mirror matchups: same composition, player strategy vs enemy strategy
+  optimize        Evolve compositions that beat a set of opponents (genetic search)
+  counter         Find the best counters to one composition (--scenario <name|file>)
 
 Options:
   --mode <mode>           Set execution mode
   --battles <n>           Number of battles to run (default: 100)
-  --compositions <n>      Number of compositions for ELO mode (default: 20)
-  --scenario <name>       Specific scenario name for predefined mode
+  --compositions <n>      Number of compositions for ELO and Swiss modes (default: 20)
+  --rounds <n>            Rounds for Swiss mode (default: log2 of the composition count)
+  --energy <n>            Energy budget per squad for optimize and counter modes (default: 3000)
+  --opponents <a,b,...>   Opponent compositions for predefined and optimize modes (default: the four classic squads)
+  --generations <n>       Generations for optimize and counter modes (default: 10)
+  --population <n>        Squads per generation for optimize and counter modes (default: 16)
+  --top <n>               Best compositions to report in optimize and counter modes (default: 5)
+  --scenario <name|file>  Scenario for predefined mode; composition to beat in counter mode
+                          (predefined, scenarios/: ${listCompositions().join(', ')}, or a .json file)
+  --player-strategy <file> Strategy module or Arena bot (exports loop) for the player side
+  --enemy-strategy <file>  Strategy module or Arena bot (exports loop) for the enemy side
+  --player-formation <f>  Formation for the player squad: ${FORMATIONS.join(', ')} (default: grid)
+  --enemy-formation <f>   Formation for the enemy squad
+  --player-ai <profile>   Built-in AI profile for the player side: ${Object.keys(AI_PROFILES).join(', ')} (default: default)
+  --enemy-ai <profile>    Built-in AI profile for the enemy side
+  --player-tactics <name|file> Behavior tree tactics per role for the player side
+                          (bundled: ${listTactics().join(', ')}; roles without a tree use --player-ai)
+  --enemy-tactics <name|file>  Behavior tree tactics for the enemy side
+  --player-squad          Built-in AI moves the player squad as a unit, holding formation until contact
+  --enemy-squad           Same for the enemy squad
+  --map <name|file>       Fight on a fixed map instead of random terrain (bundled: ${listMaps().join(', ')})
+  --seed <n>              Seed for every random choice; the same seed repeats the run exactly
   --record <file>         Save recording of one battle (default: recordings/battle-recording.json)
+  --results <file>        Save every battle's seed, terrain, spawns and compositions for --replay
+  --replay <file>         Re-run one battle from a --results file and record it
+  --battle <n>            Battle number to replay (see the battle field in the results file)
+  --rating <system>       Rating system for ELO and Swiss modes: elo or glicko2 (default: elo)
+  --ladder <file>         ELO mode: add new compositions to a saved ladder (created if missing)
+  --workers <n>           Worker threads for ELO and Swiss matchups (default: 1)
   --no-entropy            Disable randomized terrain and spawn offsets
   --verbose, -v           Enable verbose output
   --help, -h              Show this help message
@@ -76,9 +208,25 @@ Options:
 Examples:
   node runner.mjs --mode quick
   node runner.mjs --mode random --battles 500
+  node runner.mjs --mode random --battles 500 --seed 42
   node runner.mjs --mode elo --compositions 30 --battles 200
+  node runner.mjs --mode elo --compositions 30 --battles 200 --workers 4
+  node runner.mjs --mode elo --compositions 30 --rating glicko2
+  node runner.mjs --mode elo --compositions 10 --ladder ladders/main.json
+  node runner.mjs --mode swiss --compositions 200 --rounds 8
+  node runner.mjs --mode optimize --energy 2500 --opponents heavy_melee,ranged_kite --battles 40
+  node runner.mjs --mode counter --scenario heavy_melee --energy 2000 --top 3
   node runner.mjs --mode predefined --scenario ranged_kite
+  node runner.mjs --mode predefined --scenario ranged_kite --map chokepoint
+  node runner.mjs --mode predefined --scenario ranged_quad --opponents boosted_brawlers,heavy_melee
+  node runner.mjs --mode predefined --scenario hybrid_squad --player-formation box --enemy-formation line
+  node runner.mjs --mode predefined --scenario ranged_kite --player-formation quad --player-squad
+  node runner.mjs --mode strategy --scenario hybrid_squad --player-ai kite --enemy-ai rush
+  node runner.mjs --mode strategy --scenario ranged_kite --player-tactics cautious-rangers
   node runner.mjs --mode quick --record recordings/my-battle.json
+  node runner.mjs --mode strategy --player-strategy strategies/nearest-target.mjs
+  node runner.mjs --mode random --battles 500 --results results/run.json
+  node runner.mjs --replay results/run.json --battle 317
 `);
 }
 
@@ -100,43 +248,142 @@ function printRunSummary(run) {
     console.log(`  Enemy Avg Damage: ${summary.enemy.avgDamage.toFixed(1)} | Avg Healing: ${summary.enemy.avgHealing.toFixed(1)} | Avg Survivors: ${summary.enemy.avgSurvivors.toFixed(1)}`);
 }
 
-function printLeaderboard(leaderboard) {
-    console.log('\n=== ELO LEADERBOARD ===\n');
-    console.log('Rank | Composition        | Rating | W-L-D      | Win%  | Avg Dmg | Avg Heal | Avg Ticks');
-    console.log('-----|-------------------|--------|------------|-------|---------|----------|-----------');
+/**
+ * Write a body as runs of parts, e.g. "3xMOVE,3xRANGED_ATTACK"
+ * @param {Array<string|Object>} body - Body parts (plain or boosted)
+ * @returns {string} Compact body
+ */
+function formatBody(body) {
+    const runs = [];
+
+    for (const part of body) {
+        const name = typeof part === 'string' ? part.toUpperCase() : `${part.type.toUpperCase()}:${part.boost}`;
+        const last = runs[runs.length - 1];
+        if (last && last.name === name) {
+            last.count++;
+        } else {
+            runs.push({ name, count: 1 });
+        }
+    }
+
+    return runs.map(run => (run.count > 1 ? `${run.count}x${run.name}` : run.name)).join(',');
+}
+
+function printGeneration({ generation, best, average }) {
+    console.log(`Generation ${generation}: best ${(best * 100).toFixed(1)}%, average ${(average * 100).toFixed(1)}%`);
+}
+
+function printOptimizedCompositions(result) {
+    console.log(`\n=== BEST COMPOSITIONS (${result.evaluations} evaluated) ===`);
+
+    result.best.forEach((entry, index) => {
+        const vs = entry.opponents.map(o => `${o.name} ${(o.winRate * 100).toFixed(0)}%`).join(', ');
+
+        console.log(`\n#${index + 1}  Score: ${(entry.fitness * 100).toFixed(1)}% over ${entry.battles} battles | ${entry.cost} energy`);
+        console.log(`    vs ${vs}`);
+        entry.composition.forEach(unit => {
+            console.log(`    ${unit.role.padEnd(10)} ${formatBody(unit.body)}`);
+        });
+    });
+}
+
+function printCounters(result) {
+    console.log(`\n=== TOP COUNTERS TO ${result.target} (${result.targetCost} energy, ${result.evaluations} squads searched) ===`);
+
+    result.counters.forEach((counter, index) => {
+        const interval = `${(counter.low * 100).toFixed(1)}-${(counter.high * 100).toFixed(1)}%`;
+        const { iterations } = result.runs[index].summary;
+
+        console.log(`\n#${index + 1}  Win rate: ${(counter.winRate * 100).toFixed(1)}% over ${iterations} battles (95% CI ${interval}) | ${counter.cost} energy`);
+        counter.composition.forEach(unit => {
+            console.log(`    ${unit.role.padEnd(10)} ${formatBody(unit.body)}`);
+        });
+    });
+}
+
+function printLeaderboard(leaderboard, rating) {
+    // Glicko-2 entries carry a rating deviation; show its 95% interval next to the rating
+    const withInterval = leaderboard.some(entry => entry.deviation !== undefined);
+
+    console.log(`\n=== ${rating === 'glicko2' ? 'GLICKO-2' : 'ELO'} LEADERBOARD ===\n`);
+    console.log(`Rank | Composition        | Rating |${withInterval ? ' 95% Interval  |' : ''} W-L-D      | Win%  | Avg Dmg | Avg Heal | Avg Ticks`);
+    console.log(`-----|-------------------|--------|${withInterval ? '---------------|' : ''}------------|-------|---------|----------|-----------`);
 
     leaderboard.forEach((entry, index) => {
         const rank = (index + 1).toString().padStart(4);
         const name = entry.id.padEnd(18);
         const rating = entry.rating.toString().padStart(6);
+        const interval = withInterval ? ` ${`${entry.low}-${entry.high}`.padEnd(13)} |` : '';
         const record = `${entry.wins}-${entry.losses}-${entry.draws}`.padEnd(11);
         const winRate = `${entry.winRate}%`.padStart(6);
         const avgDmg = entry.avgDamage.toString().padStart(8);
         const avgHeal = entry.avgHealing.toString().padStart(9);
         const avgTicks = entry.avgTicks.toString().padStart(9);
 
-        console.log(`${rank} | ${name} | ${rating} | ${record} | ${winRate} | ${avgDmg} | ${avgHeal} | ${avgTicks}`);
+        console.log(`${rank} | ${name} | ${rating} |${interval} ${record} | ${winRate} | ${avgDmg} | ${avgHeal} | ${avgTicks}`);
     });
 }
 
+function writeJson(filename, data, indent = 2) {
+    const dir = path.dirname(filename);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fs.writeFileSync(filename, JSON.stringify(data, null, indent));
+}
+
+async function runReplay() {
+    if (!Number.isInteger(config.battle)) {
+        throw new Error('--replay needs --battle <n>');
+    }
+
+    const saved = JSON.parse(fs.readFileSync(config.replay, 'utf8'));
+    const strategyPaths = {
+        player: config.playerStrategy || saved.strategies?.player || null,
+        enemy: config.enemyStrategy || saved.strategies?.enemy || null
+    };
+    const strategies = {
+        player: await loadStrategy(strategyPaths.player, 'player'),
+        enemy: await loadStrategy(strategyPaths.enemy, 'enemy')
+    };
+
+    const replay = replayBattle(saved, config.battle, { strategies, verbose: config.verbose });
+    const matches = replay.result.winner === replay.original.winner && replay.result.ticks === replay.original.ticks;
+
+    console.log(`=== REPLAY: battle ${replay.battle} (${replay.label}) ===`);
+    console.log(`Original: ${replay.original.winner} after ${replay.original.ticks} ticks`);
+    console.log(`Replay:   ${replay.result.winner} after ${replay.result.ticks} ticks${matches ? '' : ' (differs from the original)'}`);
+
+    saveRecording(replay.recording, config.record || `recordings/replay-battle-${replay.battle}.json`);
+}
+
 function saveRecording(recording, filename) {
     if (!recording) {
         console.warn('\nWarning: Recording requested but no battle data was captured.');
         return;
     }
 
-    // Ensure the recordings directory exists
-    const dir = path.dirname(filename);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-
-    fs.writeFileSync(filename, JSON.stringify(recording, null, 2));
+    writeJson(filename, recording);
     console.log(`\nRecording saved to ${filename}`);
 }
 
 try {
-    const result = runSimulation({
+    if (config.replay) {
+        await runReplay();
+        process.exit(0);
+    }
+
+    if (config.ladder && config.mode !== 'elo') {
+        throw new Error('--ladder needs --mode elo');
+    }
+
+    // A missing ladder file starts a new ladder
+    const ladder = config.ladder && fs.existsSync(config.ladder)
+        ? JSON.parse(fs.readFileSync(config.ladder, 'utf8'))
+        : {};
+
+    const result = await runSimulation({
         mode: config.mode,
         battles: config.battles,
         compositions: config.compositions,
@@ -144,20 +391,66 @@ try {
         verbose: config.verbose,
         entropy: config.entropy,
         record: Boolean(config.record),
-        heatmap: Boolean(config.record) // Enable heatmap when recording
+        heatmap: Boolean(config.record), // Enable heatmap when recording
+        strategies: { player: config.playerStrategy, enemy: config.enemyStrategy },
+        map: config.map,
+        seed: config.seed,
+        captureBattles: Boolean(config.results),
+        workers: config.workers,
+        rating: config.rating,
+        ladder: config.ladder ? ladder : null,
+        rounds: config.rounds,
+        energy: config.energy,
+        opponents: config.opponents,
+        generations: config.generations,
+        population: config.population,
+        top: config.top,
+        onGeneration: ['optimize', 'counter'].includes(config.mode) ? printGeneration : null,
+        formations: { player: config.playerFormation, enemy: config.enemyFormation },
+        squads: { player: config.playerSquad, enemy: config.enemySquad },
+        profiles: { player: config.playerAI, enemy: config.enemyAI },
+        tactics: { player: config.playerTactics, enemy: config.enemyTactics }
     });
 
+    console.log(`Seed: ${result.seed}`);
+    if (config.map) {
+        console.log(`Map: ${config.map}`);
+    }
+
     switch (result.mode) {
         case 'elo':
             console.log('=== ELO RATING TOURNAMENT ===\n');
             console.log(`Generated ${config.compositions} compositions.`);
+            if (result.ladder) {
+                console.log(`Added ${result.added} new to the ladder (${Object.keys(result.ladder.compositions).length} total).`);
+            }
             console.log(`Completed ${result.matchups} matchups.\n`);
-            printLeaderboard(result.leaderboard);
+            printLeaderboard(result.leaderboard, result.rating);
+            break;
+        case 'swiss':
+            console.log('=== SWISS TOURNAMENT ===\n');
+            console.log(`Generated ${config.compositions} compositions.`);
+            console.log(`Completed ${result.matchups} matchups over ${result.rounds} rounds.\n`);
+            printLeaderboard(result.leaderboard, result.rating);
+            break;
+        case 'optimize':
+            console.log('\n=== COMPOSITION OPTIMIZER ===');
+            console.log(`Energy budget ${result.energy} vs ${result.opponents.join(', ')}`);
+            printOptimizedCompositions(result);
+            break;
+        case 'counter':
+            console.log('\n=== COUNTER FINDER ===');
+            console.log(`Energy budget ${result.energy}`);
+            printCounters(result);
             break;
         case 'predefined':
             console.log(`=== PREDEFINED SCENARIO: ${result.scenario} ===`);
             result.runs.forEach(printRunSummary);
             break;
+        case 'strategy':
+            console.log(`=== STRATEGY MATCHUP: ${result.strategies.player} vs ${result.strategies.enemy} ===`);
+            result.runs.forEach(printRunSummary);
+            break;
         case 'random':
             console.log('=== RANDOM COMPOSITION TEST ===');
             console.log(`Running ${config.battles} battles with random compositions...`);
@@ -173,6 +466,24 @@ try {
     if (config.record) {
         saveRecording(result.recording, config.record);
     }
+
+    if (result.ladder) {
+        writeJson(config.ladder, result.ladder);
+        console.log(`\nLadder saved to ${config.ladder}`);
+    }
+
+    if (config.results) {
+        const results = exportResults(result, {
+            map: config.map,
+            entropy: config.entropy,
+            strategies: { player: config.playerStrategy, enemy: config.enemyStrategy },
+            squads: { player: config.playerSquad, enemy: config.enemySquad },
+            profiles: { player: config.playerAI, enemy: config.enemyAI },
+            tactics: { player: config.playerTactics, enemy: config.enemyTactics }
+        });
+        writeJson(config.results, results, 0); // Hundreds of battle contexts: keep it compact
+        console.log(`\nResults for ${results.battles.length} battles saved to ${config.results}`);
+    }
 } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
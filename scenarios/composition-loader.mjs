@@ -0,0 +1,183 @@
+/**
+ * Composition Loader - Squad compositions from JSON files
+ *
+ * A composition file in the scenarios/ directory:
+ *
+ *   {
+ *       "name": "ranged_quad",
+ *       "description": "Four kiting rangers",
+ *       "maxEnergy": 3000,
+ *       "formation": "box",
+ *       "composition": [
+ *           { "body": "3xMOVE,3xRANGED_ATTACK", "role": "Ranger", "count": 3 },
+ *           { "body": ["move", "heal", "move"] }
+ *       ]
+ *   }
+ *
+ * `body` is an array of parts or a shorthand string of comma-separated
+ * `[<n>x]PART[:BOOST]` runs, e.g. "5xTOUGH:XGHO2,2xMOVE,ATTACK". `count`
+ * repeats a unit, `role` defaults to the one ScenarioGenerator.identifyRole
+ * assigns, and `maxEnergy` (optional) caps the squad's total cost.
+ * `formation` (optional) lays the squad out with ScenarioGenerator.applyFormation;
+ * a unit can also pin its own `offset` ({ x, y } from the spawn, x toward the
+ * enemy). The file may also be a bare composition array, as stored in a results
+ * file's contexts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BODYPART_COST, BOOSTS, MAX_CREEP_SIZE } from '../core/constants.mjs';
+import { getBodyPartType } from '../core/creep.mjs';
+import { ScenarioGenerator } from './scenario-generator.mjs';
+
+export const COMPOSITIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const generator = new ScenarioGenerator();
+
+/**
+ * Names of the composition files in the scenarios/ directory
+ * @returns {string[]} Composition names (file names without extension)
+ */
+export function listCompositions() {
+    return fs.readdirSync(COMPOSITIONS_DIR)
+        .filter(file => path.extname(file) === '.json')
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Expand a body shorthand into parts
+ * @param {string|Array<string|Object>} body - Shorthand ("3xMOVE,3xRANGED_ATTACK") or part array
+ * @returns {Array<string|Object>} Body parts, boosted ones as { type, boost }
+ */
+export function parseBody(body) {
+    if (Array.isArray(body)) {
+        return body.map(part => (typeof part === 'string' ? part.toLowerCase() : { ...part, type: part.type.toLowerCase() }));
+    }
+
+    if (typeof body !== 'string') {
+        throw new Error('Body must be a part array or a shorthand string');
+    }
+
+    const parts = [];
+
+    for (const token of body.split(',').map(t => t.trim()).filter(Boolean)) {
+        const match = /^(?:(\d+)\s*x\s*)?([A-Za-z_]+)(?::([A-Za-z0-9]+))?$/.exec(token);
+        if (!match) {
+            throw new Error(`Cannot parse body part "${token}"`);
+        }
+
+        const count = match[1] ? parseInt(match[1], 10) : 1;
+        const type = match[2].toLowerCase();
+        const boost = match[3] ? match[3].toUpperCase() : null;
+
+        for (let i = 0; i < count; i++) {
+            parts.push(boost ? { type, boost } : type);
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Check a body against the game rules: known parts and boosts, 1-MAX_CREEP_SIZE parts
+ * @param {Array<string|Object>} body - Body parts
+ * @param {string} label - Unit description for error messages
+ * @returns {number} Energy cost of the body
+ */
+function validateBody(body, label) {
+    if (body.length === 0 || body.length > MAX_CREEP_SIZE) {
+        throw new Error(`${label} has ${body.length} parts (must be 1-${MAX_CREEP_SIZE})`);
+    }
+
+    let cost = 0;
+
+    for (const part of body) {
+        const type = getBodyPartType(part);
+        if (BODYPART_COST[type] === undefined) {
+            throw new Error(`${label} has unknown body part "${type}"`);
+        }
+        if (typeof part === 'object' && part.boost && !BOOSTS[type]?.[part.boost]) {
+            throw new Error(`${label} has invalid boost "${part.boost}" for ${type}`);
+        }
+        cost += BODYPART_COST[type];
+    }
+
+    return cost;
+}
+
+/**
+ * Build a composition from parsed file data
+ * @param {Object|Object[]} data - Composition definition (see module header) or unit array
+ * @param {string} fallbackName - Name to use when the data has none
+ * @returns {Object} { name, description, cost, composition }
+ */
+export function parseComposition(data, fallbackName = 'custom') {
+    const name = data.name || fallbackName;
+    const units = Array.isArray(data) ? data : data.composition;
+
+    if (!Array.isArray(units) || units.length === 0) {
+        throw new Error(`Composition "${name}" has no units`);
+    }
+
+    const composition = [];
+
+    units.forEach((unit, index) => {
+        const label = `Composition "${name}" unit ${index + 1}`;
+        const body = parseBody(unit.body);
+        const cost = validateBody(body, label);
+        const count = unit.count ?? 1;
+
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`${label} has an invalid count`);
+        }
+
+        if (unit.offset && !(Number.isInteger(unit.offset.x) && Number.isInteger(unit.offset.y))) {
+            throw new Error(`${label} offset needs integer x and y`);
+        }
+        if (unit.offset && count > 1) {
+            throw new Error(`${label} cannot pin one offset for ${count} units`);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const member = {
+                body: [...body],
+                cost,
+                role: unit.role || generator.identifyRole(body)
+            };
+            if (unit.offset) {
+                member.offset = { x: unit.offset.x, y: unit.offset.y };
+            }
+            composition.push(member);
+        }
+    });
+
+    const cost = composition.reduce((sum, unit) => sum + unit.cost, 0);
+    if (data.maxEnergy && cost > data.maxEnergy) {
+        throw new Error(`Composition "${name}" costs ${cost} energy, over its maxEnergy of ${data.maxEnergy}`);
+    }
+
+    return {
+        name,
+        description: data.description || '',
+        cost,
+        composition: data.formation ? generator.applyFormation(composition, data.formation) : composition
+    };
+}
+
+/**
+ * Load a composition by name (from scenarios/) or file path
+ * @param {string} spec - Composition name (e.g. 'ranged_quad') or path to a .json file
+ * @returns {Object|null} Parsed composition (see parseComposition), null if there is no such file
+ */
+export function loadCompositionFile(spec) {
+    const bundled = path.join(COMPOSITIONS_DIR, `${spec}.json`);
+    const file = fs.existsSync(bundled) ? bundled : path.resolve(String(spec));
+
+    if (path.extname(file) !== '.json' || !fs.existsSync(file)) {
+        return null;
+    }
+
+    return parseComposition(JSON.parse(fs.readFileSync(file, 'utf8')), path.basename(file, '.json'));
+}
@@ -0,0 +1,253 @@
+/**
+ * Composition Optimizer - Genetic search for strong squad compositions
+ *
+ * Keeps a population of squads within an energy budget, scores each with a
+ * caller-supplied fitness function (normally the win rate against a set of
+ * opponents), and breeds the next generation from the best: elites carry
+ * over unchanged, the rest come from tournament selection, unit crossover and
+ * body/squad mutations. Squads that break the budget or MAX_CREEP_SIZE are
+ * trimmed back into shape.
+ */
+
+import { MOVE, BODYPART_COST, MAX_CREEP_SIZE } from '../core/constants.mjs';
+import { ScenarioGenerator } from './scenario-generator.mjs';
+
+export class CompositionOptimizer {
+    /**
+     * Create composition optimizer
+     * @param {Object} config - Configuration options
+     * @param {number} config.maxEnergy - Energy budget per squad (default 3000)
+     * @param {number} config.populationSize - Squads per generation (default 16)
+     * @param {number} config.eliteCount - Best squads copied unchanged into the next generation (default 2)
+     * @param {number} config.mutationRate - Chance to mutate each offspring (default 0.8)
+     * @param {number} config.crossoverRate - Chance to breed offspring from two parents (default 0.7)
+     * @param {number} config.tournamentSize - Squads compared per parent selection (default 3)
+     * @param {Function} config.random - Random source (default Math.random)
+     */
+    constructor(config = {}) {
+        this.maxEnergy = config.maxEnergy || 3000;
+        this.populationSize = config.populationSize || 16;
+        this.eliteCount = config.eliteCount ?? 2;
+        this.mutationRate = config.mutationRate ?? 0.8;
+        this.crossoverRate = config.crossoverRate ?? 0.7;
+        this.tournamentSize = config.tournamentSize || 3;
+        this.random = typeof config.random === 'function' ? config.random : Math.random;
+        this.generator = new ScenarioGenerator({ maxEnergy: this.maxEnergy, random: this.random });
+        this.fitnessCache = new Map(); // composition key -> evaluation
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Candidates
+     * @returns {*} One of the items
+     */
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    /**
+     * Stable key for a composition (bodies only; roles follow from them)
+     * @param {Object[]} composition - Squad composition
+     * @returns {string} Key
+     */
+    getKey(composition) {
+        return JSON.stringify(composition.map(unit => unit.body));
+    }
+
+    /**
+     * Total energy cost of a composition
+     * @param {Object[]} composition - Squad composition
+     * @returns {number} Energy cost
+     */
+    getCost(composition) {
+        return composition.reduce((sum, unit) => sum + this.generator.calculateBodyCost(unit.body), 0);
+    }
+
+    /**
+     * Generate a random squad that fits the budget
+     * @returns {Object[]} Squad composition
+     */
+    randomComposition() {
+        let composition = [];
+        while (composition.length === 0) {
+            composition = this.generator.generateSquad(this.maxEnergy);
+        }
+        return composition;
+    }
+
+    /**
+     * Bring a composition back within the rules: no empty or oversized bodies,
+     * and parts removed at random until the squad fits the energy budget
+     * @param {Object[]} composition - Squad composition (bodies may be modified)
+     * @returns {Object[]} Valid composition with costs and roles recalculated
+     */
+    repair(composition) {
+        let units = composition
+            .map(unit => unit.body.slice(0, MAX_CREEP_SIZE))
+            .filter(body => body.length > 0);
+
+        while (units.length > 0 && units.reduce((sum, body) => sum + this.generator.calculateBodyCost(body), 0) > this.maxEnergy) {
+            const body = this.pick(units);
+            body.splice(Math.floor(this.random() * body.length), 1);
+            units = units.filter(b => b.length > 0);
+        }
+
+        if (units.length === 0) {
+            return this.randomComposition();
+        }
+
+        return units.map(body => ({
+            body,
+            cost: this.generator.calculateBodyCost(body),
+            role: this.generator.identifyRole(body)
+        }));
+    }
+
+    /**
+     * Breed a child from two parents: a prefix of one squad's units and a suffix of the other's
+     * @param {Object[]} parentA - First parent
+     * @param {Object[]} parentB - Second parent
+     * @returns {Object[]} Child composition
+     */
+    crossover(parentA, parentB) {
+        const cutA = Math.floor(this.random() * (parentA.length + 1));
+        const cutB = Math.floor(this.random() * (parentB.length + 1));
+        const units = [...parentA.slice(0, cutA), ...parentB.slice(cutB)]
+            .slice(0, this.generator.maxUnitsPerSquad)
+            .map(unit => ({ body: [...unit.body] }));
+
+        return this.repair(units.length > 0 ? units : parentA.map(unit => ({ body: [...unit.body] })));
+    }
+
+    /**
+     * Apply one random mutation: change, add, remove or move a body part, or add or drop a unit
+     * @param {Object[]} composition - Squad composition
+     * @returns {Object[]} Mutated composition
+     */
+    mutate(composition) {
+        const units = composition.map(unit => ({ body: [...unit.body] }));
+        const unit = this.pick(units);
+        const parts = this.generator.allowedParts;
+        const index = Math.floor(this.random() * unit.body.length);
+
+        switch (Math.floor(this.random() * 6)) {
+            case 0:
+                unit.body[index] = this.pick(parts);
+                break;
+            case 1:
+                unit.body.splice(Math.floor(this.random() * (unit.body.length + 1)), 0, this.pick(parts));
+                break;
+            case 2:
+                unit.body.splice(index, 1);
+                break;
+            case 3: {
+                // Reordering matters: damage goes front-to-back through the body
+                const [part] = unit.body.splice(index, 1);
+                unit.body.splice(Math.floor(this.random() * (unit.body.length + 1)), 0, part);
+                break;
+            }
+            case 4:
+                if (units.length < this.generator.maxUnitsPerSquad) {
+                    // At least one MOVE's worth; repair() trims the squad if this overshoots
+                    const budget = Math.max(BODYPART_COST[MOVE], this.maxEnergy - this.getCost(composition));
+                    units.push({ body: this.generator.generateRandomBody(budget) });
+                }
+                break;
+            default:
+                if (units.length > this.generator.minUnitsPerSquad) {
+                    units.splice(units.indexOf(unit), 1);
+                }
+                break;
+        }
+
+        return this.repair(units);
+    }
+
+    /**
+     * Pick a parent: the fittest of a few random squads
+     * @param {Object[]} scored - { composition, fitness } entries
+     * @returns {Object[]} Parent composition
+     */
+    selectParent(scored) {
+        let best = null;
+        for (let i = 0; i < this.tournamentSize; i++) {
+            const candidate = this.pick(scored);
+            if (!best || candidate.fitness > best.fitness) {
+                best = candidate;
+            }
+        }
+        return best.composition;
+    }
+
+    /**
+     * Score a composition, reusing earlier scores for identical squads
+     * @param {Object[]} composition - Squad composition
+     * @param {Function} evaluate - (composition) => { fitness, ... }
+     * @returns {Object} { composition, cost, fitness, ... }
+     */
+    score(composition, evaluate) {
+        const key = this.getKey(composition);
+        if (!this.fitnessCache.has(key)) {
+            this.fitnessCache.set(key, { composition, cost: this.getCost(composition), ...evaluate(composition) });
+        }
+        return this.fitnessCache.get(key);
+    }
+
+    /**
+     * Run the search
+     * Ties in fitness go to the cheaper squad.
+     * @param {Function} evaluate - (composition) => { fitness (0-1), ... }
+     * @param {number} generations - Generations to run (default 10)
+     * @param {Object[][]} seeds - Compositions to include in the first generation
+     * @param {Function} onGeneration - Called with { generation, best, average } after each generation
+     * @returns {Object} { best: scored compositions (fittest first), history }
+     */
+    evolve(evaluate, generations = 10, seeds = [], onGeneration = null) {
+        let population = seeds.slice(0, this.populationSize).map(comp => this.repair(comp.map(unit => ({ body: [...unit.body] }))));
+        while (population.length < this.populationSize) {
+            population.push(this.randomComposition());
+        }
+
+        const history = [];
+        let scored = [];
+
+        for (let generation = 0; generation < generations; generation++) {
+            scored = population
+                .map(composition => this.score(composition, evaluate))
+                .sort((a, b) => b.fitness - a.fitness || a.cost - b.cost);
+
+            const stats = {
+                generation: generation + 1,
+                best: scored[0].fitness,
+                average: scored.reduce((sum, entry) => sum + entry.fitness, 0) / scored.length
+            };
+            history.push(stats);
+            if (onGeneration) {
+                onGeneration(stats);
+            }
+
+            if (generation === generations - 1) {
+                break;
+            }
+
+            const next = scored.slice(0, this.eliteCount).map(entry => entry.composition);
+            while (next.length < this.populationSize) {
+                const parent = this.selectParent(scored);
+                let child = this.random() < this.crossoverRate
+                    ? this.crossover(parent, this.selectParent(scored))
+                    : this.repair(parent.map(unit => ({ body: [...unit.body] })));
+
+                if (this.random() < this.mutationRate) {
+                    child = this.mutate(child);
+                }
+                next.push(child);
+            }
+            population = next;
+        }
+
+        // Every squad scored during the search, not just the final generation
+        const best = [...this.fitnessCache.values()].sort((a, b) => b.fitness - a.fitness || a.cost - b.cost);
+
+        return { best, history };
+    }
+}
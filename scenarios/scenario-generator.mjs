@@ -6,7 +6,84 @@ import {
     MOVE, ATTACK, RANGED_ATTACK, HEAL, TOUGH, CARRY, WORK,
     BODYPART_COST, MAX_CREEP_SIZE
 } from '../core/constants.mjs';
-import { MockCreep } from '../core/creep.mjs';
+import { MockCreep, getBodyPartType } from '../core/creep.mjs';
+
+export const FORMATIONS = ['grid', 'line', 'column', 'wedge', 'box', 'quad'];
+
+// Front-to-back order when a formation hands out slots: tanks lead, healers trail
+const ROLE_RANK = {
+    Enforcer: 0,
+    Berserker: 1,
+    Operator: 2,
+    Conscript: 3,
+    Ranger: 4,
+    Medic: 5
+};
+
+/**
+ * Slots of a formation in its own frame: `forward` points at the enemy, `lateral` across
+ * @param {string} name - Formation name
+ * @param {number} count - Number of slots
+ * @param {number} coreCount - Box only: slots reserved in the middle (for healers)
+ * @returns {Object[]} { forward, lateral } per slot, front slots first (core slots first for a box)
+ */
+function getFormationSlots(name, count, coreCount = 0) {
+    const slots = [];
+
+    switch (name) {
+        case 'line':
+            // One rank across the front, filled from the middle out
+            for (let i = 0; i < count; i++) {
+                slots.push({ forward: 0, lateral: Math.ceil(i / 2) * (i % 2 === 0 ? -1 : 1) });
+            }
+            break;
+        case 'column':
+            for (let i = 0; i < count; i++) {
+                slots.push({ forward: -i, lateral: 0 });
+            }
+            break;
+        case 'wedge':
+            // Point unit first, then pairs trailing back on both flanks
+            for (let i = 0; i < count; i++) {
+                const row = Math.ceil(i / 2);
+                slots.push({ forward: -row, lateral: i % 2 === 0 ? row : -row });
+            }
+            break;
+        case 'quad':
+            // 2x2 blocks, one behind the other
+            for (let i = 0; i < count; i++) {
+                const block = Math.floor(i / 4);
+                slots.push({ forward: -2 * block - Math.floor((i % 4) / 2), lateral: i % 2 });
+            }
+            break;
+        case 'box': {
+            // The first `coreCount` units (the healers) form a 2x2-style core; the rest
+            // surround it, nearest tiles first and the front of each ring first
+            const core = getFormationSlots('quad', coreCount);
+            const references = core.length > 0 ? core : [{ forward: 0, lateral: 0 }];
+            const reach = Math.ceil(Math.sqrt(count)) + 2;
+            const ring = [];
+
+            for (let forward = -reach; forward <= reach; forward++) {
+                for (let lateral = -reach; lateral <= reach; lateral++) {
+                    if (core.some(tile => tile.forward === forward && tile.lateral === lateral)) {
+                        continue;
+                    }
+                    const distance = Math.min(...references.map(tile => Math.max(Math.abs(tile.forward - forward), Math.abs(tile.lateral - lateral))));
+                    ring.push({ forward, lateral, distance });
+                }
+            }
+
+            ring.sort((a, b) => a.distance - b.distance || b.forward - a.forward || Math.abs(a.lateral) - Math.abs(b.lateral));
+            slots.push(...core, ...ring.map(({ forward, lateral }) => ({ forward, lateral })));
+            break;
+        }
+        default:
+            throw new Error(`Unknown formation "${name}". Available: ${FORMATIONS.join(', ')}`);
+    }
+
+    return slots.slice(0, count);
+}
 
 export class ScenarioGenerator {
     /**
@@ -18,6 +95,7 @@ export class ScenarioGenerator {
         this.minUnitsPerSquad = config.minUnitsPerSquad || 2;
         this.maxUnitsPerSquad = config.maxUnitsPerSquad || 6;
         this.allowedParts = config.allowedParts || [MOVE, ATTACK, RANGED_ATTACK, HEAL, TOUGH];
+        this.random = typeof config.random === 'function' ? config.random : Math.random;
     }
 
     /**
@@ -39,7 +117,7 @@ export class ScenarioGenerator {
             this.generateTankBody.bind(this)
         ];
 
-        const strategy = strategies[Math.floor(Math.random() * strategies.length)];
+        const strategy = strategies[Math.floor(this.random() * strategies.length)];
         return strategy(maxCost);
     }
 
@@ -115,7 +193,7 @@ export class ScenarioGenerator {
         let cost = 0;
 
         // Mix of ATTACK and RANGED_ATTACK
-        let useRanged = Math.random() > 0.5;
+        let useRanged = this.random() > 0.5;
 
         while (cost < maxCost && body.length < MAX_CREEP_SIZE - 2) {
             const attackType = useRanged ? RANGED_ATTACK : ATTACK;
@@ -164,11 +242,28 @@ export class ScenarioGenerator {
 
     /**
      * Calculate body cost
-     * @param {string[]} body - Body composition
+     * @param {Array<string|Object>} body - Body composition (plain or boosted parts)
      * @returns {number} Total energy cost
      */
     calculateBodyCost(body) {
-        return body.reduce((sum, part) => sum + BODYPART_COST[part], 0);
+        return body.reduce((sum, part) => sum + BODYPART_COST[getBodyPartType(part)], 0);
+    }
+
+    /**
+     * Boost every matching body part in a composition
+     * Boosts cost minerals rather than energy, so the squad's energy cost is unchanged.
+     * @param {Object[]} composition - Squad composition
+     * @param {Object} boosts - Body part type -> compound (e.g. { [TOUGH]: 'XGHO2' })
+     * @returns {Object[]} New composition with boosted parts
+     */
+    applyBoosts(composition, boosts) {
+        return composition.map(unit => ({
+            ...unit,
+            body: unit.body.map(part => {
+                const type = getBodyPartType(part);
+                return boosts[type] ? { type, boost: boosts[type] } : part;
+            })
+        }));
     }
 
     /**
@@ -182,7 +277,7 @@ export class ScenarioGenerator {
         let remainingEnergy = maxEnergy;
 
         const unitCount = Math.floor(
-            Math.random() * (this.maxUnitsPerSquad - this.minUnitsPerSquad + 1)
+            this.random() * (this.maxUnitsPerSquad - this.minUnitsPerSquad + 1)
         ) + this.minUnitsPerSquad;
 
         for (let i = 0; i < unitCount; i++) {
@@ -206,13 +301,14 @@ export class ScenarioGenerator {
 
     /**
      * Identify role based on body composition
-     * @param {string[]} body - Body composition
+     * @param {Array<string|Object>} body - Body composition
      * @returns {string} Role name
      */
     identifyRole(body) {
         const counts = {};
         for (const part of body) {
-            counts[part] = (counts[part] || 0) + 1;
+            const type = getBodyPartType(part);
+            counts[type] = (counts[type] || 0) + 1;
         }
 
         if (counts[HEAL] > 0) return 'Medic';
@@ -223,8 +319,54 @@ export class ScenarioGenerator {
         return 'Conscript';
     }
 
+    /**
+     * Place a composition in a named formation
+     * Each unit gets an `offset` from the squad's spawn, with `x` pointing at the
+     * enemy. Slots are handed out front to back by role (tanks and melee first,
+     * rangers behind, healers last); in a box the healers take the center.
+     * Units that already carry an offset keep it. 'grid' is the default 3-wide
+     * layout with 2-tile spacing.
+     * @param {Object[]} composition - Squad composition
+     * @param {string} name - Formation name (see FORMATIONS)
+     * @returns {Object[]} New composition with unit offsets
+     */
+    applyFormation(composition, name) {
+        if (name === 'grid') {
+            return composition.map((unit, index) => ({
+                ...unit,
+                offset: unit.offset || { x: (index % 3) * 2, y: Math.floor(index / 3) * 2 }
+            }));
+        }
+
+        const placed = composition.filter(unit => !unit.offset);
+        const roleOf = unit => unit.role || this.identifyRole(unit.body);
+        const healers = placed.filter(unit => roleOf(unit) === 'Medic').length;
+        const slots = getFormationSlots(name, placed.length, healers);
+
+        // Box formations wrap the healers; the rest go front to back by role
+        const rank = unit => {
+            if (name === 'box') {
+                return roleOf(unit) === 'Medic' ? 0 : 1;
+            }
+            return ROLE_RANK[roleOf(unit)] ?? ROLE_RANK.Conscript;
+        };
+
+        const order = placed
+            .map((unit, index) => ({ unit, index }))
+            .sort((a, b) => rank(a.unit) - rank(b.unit) || a.index - b.index);
+
+        const offsets = new Map();
+        order.forEach(({ unit }, i) => {
+            offsets.set(unit, { x: slots[i].forward, y: slots[i].lateral });
+        });
+
+        return composition.map(unit => ({ ...unit, offset: unit.offset || offsets.get(unit) }));
+    }
+
     /**
      * Create squad from composition with realistic spacing
+     * Units with an `offset` (see applyFormation) are placed there, mirrored for the
+     * enemy so formations face each other; other units use the default grid.
      * @param {Object[]} squadComposition - Array of body configurations
      * @param {number} startX - Starting X position
      * @param {number} startY - Starting Y position
@@ -237,8 +379,14 @@ export class ScenarioGenerator {
         squadComposition.forEach((config, index) => {
             // Realistic spacing: 2 tiles apart in line formation
             // This prevents tight stacking and allows for more realistic combat
-            const offsetX = (index % 3) * 2;  // 0, 2, 4
-            const offsetY = Math.floor(index / 3) * 2;  // 0, 0, 0, 2, 2, 2, etc.
+            let offsetX = (index % 3) * 2;  // 0, 2, 4
+            let offsetY = Math.floor(index / 3) * 2;  // 0, 0, 0, 2, 2, 2, etc.
+
+            if (config.offset) {
+                // Player squads face east (+x), enemy squads west
+                offsetX = my ? config.offset.x : -config.offset.x;
+                offsetY = config.offset.y;
+            }
 
             const creep = new MockCreep(
                 `${my ? 'player' : 'enemy'}_${config.role}_${index}`,
@@ -246,7 +394,8 @@ export class ScenarioGenerator {
                 startY + offsetY,
                 config.body,
                 my,
-                `${config.role}-${index + 1}`
+                `${config.role}-${index + 1}`,
+                config.role
             );
 
             creeps.push(creep);
@@ -345,6 +494,13 @@ export class ScenarioGenerator {
             ]
         };
 
+        // Boosted variants: parts are written as { type, boost }
+        compositions['tank_squad_boosted'] = this.applyBoosts(compositions['tank_squad'], {
+            [TOUGH]: 'XGHO2',
+            [ATTACK]: 'XUH2O',
+            [HEAL]: 'XLHO2'
+        });
+
         return compositions[name] || null;
     }
 }
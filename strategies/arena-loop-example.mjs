@@ -0,0 +1,49 @@
+/**
+ * Arena Loop Example - A plain Screeps Arena bot
+ *
+ * Written exactly as it would be for the real game; the simulator resolves the
+ * `game/*` imports to its API shim.
+ *
+ * Usage: node runner.mjs --mode strategy --player-strategy strategies/arena-loop-example.mjs
+ */
+
+import { getObjectsByPrototype, findClosestByRange, findInRange } from 'game/utils';
+import { Creep } from 'game/prototypes';
+import { ATTACK, RANGED_ATTACK, HEAL, ERR_NOT_IN_RANGE } from 'game/constants';
+
+export function loop() {
+    const creeps = getObjectsByPrototype(Creep);
+    const myCreeps = creeps.filter(c => c.my);
+    const enemies = creeps.filter(c => !c.my);
+
+    for (const creep of myCreeps) {
+        const parts = creep.body.filter(p => p.hits > 0).map(p => p.type);
+
+        if (parts.includes(HEAL)) {
+            const damaged = findInRange(creep, myCreeps, 3).find(c => c.hits < c.hitsMax);
+            if (damaged && creep.heal(damaged) === ERR_NOT_IN_RANGE) {
+                creep.rangedHeal(damaged);
+            }
+        }
+
+        const target = findClosestByRange(creep, enemies);
+        if (!target) {
+            continue;
+        }
+
+        if (parts.includes(ATTACK)) {
+            if (creep.attack(target) === ERR_NOT_IN_RANGE) {
+                creep.moveTo(target);
+            }
+        } else if (parts.includes(RANGED_ATTACK)) {
+            if (creep.rangedAttack(target) === ERR_NOT_IN_RANGE) {
+                creep.moveTo(target);
+            }
+        } else {
+            const ally = findClosestByRange(creep, myCreeps.filter(c => c !== creep));
+            if (ally && creep.getRangeTo(ally) > 1) {
+                creep.moveTo(ally);
+            }
+        }
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Nearest Target - Example pluggable strategy
+ *
+ * Every creep focuses the closest enemy: melee closes in, ranged kites back
+ * to range 3, healers patch up the most damaged friendly in reach.
+ *
+ * Usage: node runner.mjs --mode strategy --player-strategy strategies/nearest-target.mjs
+ */
+
+function findClosest(world, creep, candidates) {
+    let closest = null;
+    let closestRange = Infinity;
+
+    for (const candidate of candidates) {
+        const range = world.getRange(creep, candidate);
+        if (range < closestRange) {
+            closest = candidate;
+            closestRange = range;
+        }
+    }
+
+    return closest;
+}
+
+export default {
+    name: 'nearest-target',
+
+    tick(world) {
+        const intents = [];
+
+        for (const creep of world.myCreeps) {
+            if (creep.getActiveBodyParts('heal') > 0) {
+                const damaged = world.myCreeps
+                    .filter(c => c.hits < c.hitsMax && world.getRange(creep, c) <= 3)
+                    .sort((a, b) => a.hits - b.hits)[0];
+
+                if (damaged) {
+                    const type = world.getRange(creep, damaged) <= 1 ? 'heal' : 'rangedHeal';
+                    intents.push({ creep: creep.id, type, target: damaged.id });
+                }
+            }
+
+            const target = findClosest(world, creep, world.enemyCreeps);
+            if (!target) {
+                continue;
+            }
+
+            const range = world.getRange(creep, target);
+
+            if (creep.getActiveBodyParts('attack') > 0) {
+                if (range <= 1) {
+                    intents.push({ creep: creep.id, type: 'attack', target: target.id });
+                } else {
+                    intents.push({ creep: creep.id, type: 'move', target: { x: target.x, y: target.y } });
+                }
+            } else if (creep.getActiveBodyParts('ranged_attack') > 0) {
+                if (range <= 3) {
+                    intents.push({ creep: creep.id, type: 'rangedAttack', target: target.id });
+                }
+                if (range > 3) {
+                    intents.push({ creep: creep.id, type: 'move', target: { x: target.x, y: target.y } });
+                } else if (range < 3) {
+                    const threats = world.enemyCreeps.filter(enemy => world.getRange(creep, enemy) <= 5);
+                    const escape = world.findFleePath(creep, threats, { range: 3 }).path[0];
+                    if (escape) {
+                        intents.push({ creep: creep.id, type: 'move', target: escape });
+                    }
+                }
+            } else {
+                const ally = findClosest(world, creep, world.myCreeps.filter(c => c.id !== creep.id));
+                if (ally && world.getRange(creep, ally) > 1) {
+                    intents.push({ creep: creep.id, type: 'move', target: { x: ally.x, y: ally.y } });
+                }
+            }
+        }
+
+        return intents;
+    }
+};
@@ -7,6 +7,7 @@
 import { CombatEngine } from './core/combat-engine.mjs';
 import { ScenarioGenerator } from './scenarios/scenario-generator.mjs';
 import { BODYPART_COST } from './core/constants.mjs';
+import { getBodyPartType } from './core/creep.mjs';
 
 const BATTLES_PER_MATCHUP = 20;
 
@@ -43,13 +44,14 @@ const compositions = [
     'hybrid_squad',
     'hybrid_2r_2m_2h',
     'tank_squad',
+    'tank_squad_boosted',
     'pure_ranged',
     'heavy_ranged'
 ];
 
 function calculateCost(composition) {
     return composition.reduce((sum, unit) => {
-        return sum + unit.body.reduce((s, part) => s + BODYPART_COST[part], 0);
+        return sum + unit.body.reduce((s, part) => s + BODYPART_COST[getBodyPartType(part)], 0);
     }, 0);
 }
 
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { runSimulation } from '../core/simulation-runner.mjs';
+import { listMaps } from '../core/map-loader.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -69,10 +70,19 @@ function handleRunRequest(req, res) {
         }
     });
 
-    req.on('end', () => {
+    req.on('end', async () => {
         try {
             const payload = body ? JSON.parse(body) : {};
-            const result = runSimulation({
+
+            // Only bundled maps and compositions by name; never read arbitrary paths for remote callers
+            if (payload.map && !listMaps().includes(payload.map)) {
+                throw new Error(`Unknown map "${payload.map}"`);
+            }
+            if (payload.scenario && /[\\/]|\.json$/i.test(payload.scenario)) {
+                throw new Error(`Unknown scenario "${payload.scenario}"`);
+            }
+
+            const result = await runSimulation({
                 mode: payload.mode,
                 battles: payload.battles,
                 compositions: payload.compositions,
@@ -80,7 +90,9 @@ function handleRunRequest(req, res) {
                 verbose: Boolean(payload.verbose),
                 entropy: payload.entropy,
                 record: payload.record,
-                heatmap: Boolean(payload.heatmap)
+                heatmap: Boolean(payload.heatmap),
+                map: payload.map || null,
+                seed: payload.seed ?? null
             });
 
             // Auto-save recording if requested
@@ -3,6 +3,9 @@
  * Renders and replays battle recordings
  */
 
+// Terrain types for the ASCII tiles recordings use ('#' wall, '~' swamp, '.' plain)
+const ASCII_TERRAIN = { '.': 0, '#': 1, '~': 2 };
+
 class BattleVisualizer {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -335,6 +338,7 @@ class BattleVisualizer {
         }
 
         if (hasBattle && tickData) {
+            this.drawStructures(tickData.structures);
             this.drawCreeps(tickData.creeps);
             this.drawActionEffects(tickData.actions);
         }
@@ -415,9 +419,14 @@ class BattleVisualizer {
     drawTerrain() {
         if (!this.battleData.terrain) return;
 
+        // Recordings store terrain as ASCII rows; older ones as a grid of terrain types
+        const terrain = typeof this.battleData.terrain === 'string'
+            ? this.battleData.terrain.split('\n').map(row => Array.from(row, tile => ASCII_TERRAIN[tile] || 0))
+            : this.battleData.terrain;
+
         for (let y = 0; y < this.gridSize; y++) {
             for (let x = 0; x < this.gridSize; x++) {
-                const terrainType = this.battleData.terrain[y]?.[x] || 0;
+                const terrainType = terrain[y]?.[x] || 0;
 
                 if (terrainType === 1) { // Wall
                     this.ctx.fillStyle = '#555555';
@@ -437,6 +446,39 @@ class BattleVisualizer {
         }
     }
 
+    drawStructures(structures) {
+        // Only recorded for battles on maps with structures
+        if (!structures) return;
+
+        for (const structure of structures) {
+            const x = structure.x * this.cellSize;
+            const y = structure.y * this.cellSize;
+            const color = structure.my === undefined ? '#8a8a8a' : structure.my ? '#67c2a1' : '#e27c79';
+
+            if (structure.structureType === 'rampart') {
+                // Outline only, so a creep standing on it stays visible
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(x + 1, y + 1, this.cellSize - 2, this.cellSize - 2);
+            } else if (structure.structureType === 'tower') {
+                this.ctx.fillStyle = color;
+                this.ctx.beginPath();
+                this.ctx.arc(x + this.cellSize / 2, y + this.cellSize / 2, this.cellSize / 2 - 2, 0, Math.PI * 2);
+                this.ctx.fill();
+            } else {
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(x + 1, y + 1, this.cellSize - 2, this.cellSize - 2);
+            }
+
+            // Health bar along the top edge
+            const healthPercent = structure.hits / structure.hitsMax;
+            this.ctx.fillStyle = '#1e1e22';
+            this.ctx.fillRect(x + 2, y + 1, this.cellSize - 4, 2);
+            this.ctx.fillStyle = '#e8c770';
+            this.ctx.fillRect(x + 2, y + 1, (this.cellSize - 4) * healthPercent, 2);
+        }
+    }
+
     drawCreeps(creeps) {
         // Dead creeps are not included in the recording (they disappear in Screeps Arena)
         for (const creep of creeps) {
@@ -489,6 +531,8 @@ class BattleVisualizer {
         for (const action of actions) {
             if (action.type === 'attack' || action.type === 'rangedAttack') {
                 this.drawAttackLine(action.from, action.to);
+            } else if (action.type === 'rangedMassAttack') {
+                this.drawMassAttack(action.from, action.range, action.targets);
             } else if (action.type === 'heal' || action.type === 'rangedHeal') {
                 this.drawHealLine(action.from, action.to);
             }
@@ -511,6 +555,26 @@ class BattleVisualizer {
         this.ctx.globalAlpha = 1.0;
     }
 
+    drawMassAttack(from, range, targets) {
+        const cx = from.x * this.cellSize + this.cellSize / 2;
+        const cy = from.y * this.cellSize + this.cellSize / 2;
+
+        this.ctx.strokeStyle = '#e8c770';
+        this.ctx.lineWidth = 1;
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.strokeRect(
+            cx - (range + 0.5) * this.cellSize,
+            cy - (range + 0.5) * this.cellSize,
+            (range * 2 + 1) * this.cellSize,
+            (range * 2 + 1) * this.cellSize
+        );
+        this.ctx.globalAlpha = 1.0;
+
+        for (const target of targets || []) {
+            this.drawAttackLine(from, target);
+        }
+    }
+
     drawHealLine(from, to) {
         const x1 = from.x * this.cellSize + this.cellSize / 2;
         const y1 = from.y * this.cellSize + this.cellSize / 2;